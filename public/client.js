@@ -9,7 +9,7 @@
  * 5. UI updates
  *
  * STRUCTURE:
- * - State management (username, token, current room)
+ * - State management (username, token, joined rooms)
  * - DOM element references
  * - Authentication functions
  * - Socket.IO connection and event handlers
@@ -24,6 +24,24 @@
 const API_URL = 'http://localhost:3003';
 const SOCKET_URL = 'http://localhost:3003';
 
+// Reliable sending (see "OUTBOX" below)
+const ACK_TIMEOUT = 5000;      // How long we wait for the server to confirm a message
+const RETRY_DELAY = 2000;      // Wait before sending it again
+const MAX_SEND_ATTEMPTS = 5;   // Then give up
+
+// Send "typing" at most this often while the user keeps typing
+// (the server rate-limits events, see RATE_LIMITED)
+const TYPING_THROTTLE = 2000;
+
+// How moderation actions are described to the affected user
+const ACTION_LABELS = {
+  kick: 'kicked',
+  ban: 'banned',
+  unban: 'unbanned',
+  mute: 'muted',
+  unmute: 'unmuted'
+};
+
 // ============================================================================
 // STATE
 // ============================================================================
@@ -31,8 +49,20 @@ const SOCKET_URL = 'http://localhost:3003';
 let socket = null;
 let currentUsername = null;
 let authToken = null;
-let currentRoom = null;
+let refreshToken = null;
+let currentRoom = null;          // The room shown on screen
+let joinedRooms = new Set();     // Every room we are in (can be many)
+let roomMessages = new Map();    // roomName → messages received in that room
+let roomMembers = new Map();     // roomName → Set of usernames in that room
+let userPresence = new Map();    // username → 'online' | 'away' (not in the map = offline)
+let roomUnreadCounts = new Map(); // roomName → messages we haven't seen yet
+let roomReceipts = new Map();    // roomName → Map(username → last messageId they read)
+let lastMarkedRead = new Map();  // roomName → last messageId we sent in mark_read
+let outbox = new Map();          // clientMessageId → message the server hasn't confirmed yet
+let readyRooms = new Set();      // Rooms joined on the CURRENT connection (safe to send to)
+let openThread = null;           // { roomName, parentMessageId, messages } shown in the thread panel
 let typingTimeout = null;
+let typingSentAt = 0;            // When we last sent "typing" (0 = we've stopped)
 
 // ============================================================================
 // DOM ELEMENTS
@@ -56,6 +86,8 @@ const currentUsernameDisplay = document.getElementById('currentUsername');
 const logoutBtn = document.getElementById('logoutBtn');
 const createRoomForm = document.getElementById('createRoomForm');
 const newRoomInput = document.getElementById('newRoomInput');
+const newRoomPassword = document.getElementById('newRoomPassword');
+const newRoomPrivate = document.getElementById('newRoomPrivate');
 const roomsList = document.getElementById('roomsList');
 const currentRoomName = document.getElementById('currentRoomName');
 const roomUsers = document.getElementById('roomUsers');
@@ -67,6 +99,13 @@ const sendBtn = document.getElementById('sendBtn');
 const connectionStatus = document.getElementById('connectionStatus');
 const typingIndicator = document.getElementById('typingIndicator');
 
+// Thread panel
+const threadPanel = document.getElementById('threadPanel');
+const threadMessages = document.getElementById('threadMessages');
+const threadForm = document.getElementById('threadForm');
+const threadInput = document.getElementById('threadInput');
+const closeThreadBtn = document.getElementById('closeThreadBtn');
+
 // ============================================================================
 // AUTHENTICATION
 // ============================================================================
@@ -92,17 +131,19 @@ loginForm.addEventListener('submit', async (e) => {
 
     const data = await response.json();
 
+    // 429 = too many wrong passwords, the message says how long to wait
+    if (response.status === 429) {
+      throw new Error(data.message);
+    }
+
     if (!response.ok) {
       throw new Error(data.error || 'Login failed');
     }
 
-    // Success! Store token and username
-    authToken = data.token;
+    // Success! Store tokens and username
     currentUsername = data.user.username;
-
-    // Save to localStorage for persistence
-    localStorage.setItem('auth_token', authToken);
     localStorage.setItem('username', currentUsername);
+    saveTokens(data);
 
     // Connect to Socket.IO
     connectSocket();
@@ -138,6 +179,11 @@ registerForm.addEventListener('submit', async (e) => {
 
     const data = await response.json();
 
+    // 400 = invalid username/password, the message says what's wrong
+    if (response.status === 400) {
+      throw new Error(data.message);
+    }
+
     if (!response.ok) {
       throw new Error(data.error || 'Registration failed');
     }
@@ -195,6 +241,14 @@ logoutBtn.addEventListener('click', () => {
 });
 
 function logout() {
+  // Tell the server to end the session (don't wait for the answer)
+  if (authToken) {
+    fetch(`${API_URL}/api/auth/logout`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${authToken}` }
+    }).catch(() => {});
+  }
+
   // Disconnect socket
   if (socket) {
     socket.disconnect();
@@ -202,11 +256,23 @@ function logout() {
 
   // Clear state
   authToken = null;
+  refreshToken = null;
   currentUsername = null;
   currentRoom = null;
+  joinedRooms = new Set();
+  roomMessages = new Map();
+  roomMembers = new Map();
+  userPresence = new Map();
+  roomUnreadCounts = new Map();
+  roomReceipts = new Map();
+  lastMarkedRead = new Map();
+  openThread = null;
+  outbox = new Map();
+  readyRooms = new Set();
 
   // Clear localStorage
   localStorage.removeItem('auth_token');
+  localStorage.removeItem('refresh_token');
   localStorage.removeItem('username');
 
   // Switch to login screen
@@ -217,6 +283,42 @@ function logout() {
   registerForm.reset();
 }
 
+/**
+ * Save tokens from a login or refresh response
+ */
+function saveTokens(data) {
+  authToken = data.token;
+  refreshToken = data.refreshToken;
+
+  // Save to localStorage for persistence
+  localStorage.setItem('auth_token', authToken);
+  localStorage.setItem('refresh_token', refreshToken);
+}
+
+/**
+ * Get a new access token using the refresh token
+ * Returns true on success, false if the user must login again
+ */
+async function refreshSession() {
+  if (!refreshToken) return false;
+
+  try {
+    const response = await fetch(`${API_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    if (!response.ok) return false;
+
+    saveTokens(await response.json());
+    return true;
+  } catch (error) {
+    console.error('Token refresh failed:', error.message);
+    return false;
+  }
+}
+
 // ============================================================================
 // SOCKET.IO CONNECTION
 // ============================================================================
@@ -228,10 +330,13 @@ function connectSocket() {
   console.log('Connecting to Socket.IO server...');
 
   // Create socket connection with JWT token
+  // auth is a function, so every (re)connection sends the CURRENT token
+  // and the rooms we were in (see "session_restored" below)
   socket = io(SOCKET_URL, {
-    auth: {
-      token: authToken
-    },
+    auth: (callback) => callback({
+      token: authToken,
+      resume: buildResumeInfo()
+    }),
     reconnection: true,
     reconnectionDelay: 1000,
     reconnectionAttempts: 5
@@ -242,24 +347,99 @@ function connectSocket() {
   socket.on('connect', () => {
     console.log('✅ Connected to server');
     updateConnectionStatus(true);
+
+    // Who is online? And are we? (this tab may be in the background)
+    socket.emit('get_presence');
+    if (document.hidden) {
+      socket.emit('set_presence', { status: 'away' });
+    }
+  });
+
+  socket.on('session_restored', (data) => {
+    // Reconnected: the server put us back into these rooms silently
+    // and sends the messages we missed as new_message events
+    console.log('Session restored:', data);
+
+    data.rooms.forEach(roomName => {
+      readyRooms.add(roomName);
+      flushOutbox(roomName); // Send what we typed while offline
+    });
+
+    // Away too long (or not allowed anymore) - join again the normal way
+    data.expired.forEach(roomName => socket.emit('join_room', { roomName }));
   });
 
   socket.on('disconnect', (reason) => {
     console.log('❌ Disconnected from server:', reason);
     updateConnectionStatus(false);
+    readyRooms = new Set();
   });
 
-  socket.on('connect_error', (error) => {
+  socket.on('connect_error', async (error) => {
     console.error('Connection error:', error.message);
     updateConnectionStatus(false);
 
+    // This server is shutting down and refused us - try again a bit later
+    // (by then a load balancer sends us to another server, or it's back)
+    if (error.data && error.data.code === 'SERVER_SHUTTING_DOWN') {
+      reconnectLater(error.data.reconnectAfter);
+      return;
+    }
+
     if (error.message.includes('Authentication')) {
-      // Token is invalid - logout
+      // Access token expired? Try to get a new one and reconnect
+      if (await refreshSession()) {
+        socket.connect();
+        return;
+      }
+
+      // Refresh failed - logout
       alert('Session expired. Please login again.');
       logout();
     }
   });
 
+  // ========== TOKEN EXPIRY EVENTS ==========
+
+  socket.on('token_expiring', async () => {
+    // Our token is about to expire - get a new one and send it
+    if (await refreshSession()) {
+      socket.emit('reauthenticate', { token: authToken });
+    }
+  });
+
+  socket.on('token_expired', async () => {
+    // Too late - the server disconnected us. Refresh and reconnect.
+    if (await refreshSession()) {
+      socket.connect();
+    } else {
+      alert('Session expired. Please login again.');
+      logout();
+    }
+  });
+
+  socket.on('session_revoked', (data) => {
+    // Server ended our session (logout from elsewhere, or revoked)
+    alert(data.message);
+    logout();
+  });
+
+  // ========== SERVER SHUTDOWN ==========
+
+  socket.on('server_shutdown', (data) => {
+    // The server is restarting: leave now (so it can finish quickly) and
+    // come back after the delay it suggests. Messages typed meanwhile
+    // wait in the outbox and are sent after reconnecting.
+    console.log('Server shutting down:', data);
+    socket.disconnect();
+    reconnectLater(data.reconnectAfter);
+  });
+
+  socket.on('rate_limit_exceeded', (data) => {
+    // Disconnected for sending too much - the server won't let us back right away
+    alert(data.message);
+  });
+
   // ========== ROOM EVENTS ==========
 
   socket.on('rooms_list', (rooms) => {
@@ -274,20 +454,85 @@ function connectSocket() {
 
   socket.on('joined_room', (data) => {
     console.log('Joined room:', data);
-    currentRoom = data.roomName;
-    updateCurrentRoom(data);
+    joinedRooms.add(data.roomName);
+    roomMembers.set(data.roomName, new Set(data.users));
+    roomReceipts.set(data.roomName, new Map(
+      (data.readReceipts || []).map(receipt => [receipt.username, receipt.messageId])
+    ));
+    addRoomToList(data.roomName); // In case we were invited while the list was loading
+
+    // message_history follows right after and refills this list
+    roomMessages.set(data.roomName, []);
+
+    markRoomJoined(data.roomName, true);
+
+    if (data.roomName === currentRoom) {
+      showRoom(data.roomName);
+    }
+
+    // Send anything that was waiting for this room
+    readyRooms.add(data.roomName);
+    flushOutbox(data.roomName);
   });
 
   socket.on('user_joined', (data) => {
     console.log('User joined:', data.username);
-    addSystemMessage(`${data.username} joined the room`);
-    updateUserCount(data.userCount);
+    if (roomMembers.has(data.roomName)) roomMembers.get(data.roomName).add(data.username);
+    addToRoom(data.roomName, { type: 'system', text: `${data.username} joined the room` });
   });
 
   socket.on('user_left', (data) => {
     console.log('User left:', data.username);
-    addSystemMessage(`${data.username} left the room`);
-    updateUserCount(data.userCount);
+    if (roomMembers.has(data.roomName)) roomMembers.get(data.roomName).delete(data.username);
+    addToRoom(data.roomName, { type: 'system', text: `${data.username} left the room` });
+  });
+
+  // ========== PRESENCE EVENTS ==========
+
+  socket.on('presence_list', (users) => {
+    userPresence = new Map(users.map(user => [user.username, user.status]));
+    if (currentRoom) updateRoomUsers(currentRoom);
+  });
+
+  socket.on('presence_changed', (data) => {
+    if (data.status === 'offline') {
+      userPresence.delete(data.username);
+    } else {
+      userPresence.set(data.username, data.status);
+    }
+
+    if (currentRoom && roomMembers.has(currentRoom) && roomMembers.get(currentRoom).has(data.username)) {
+      updateRoomUsers(currentRoom);
+    }
+  });
+
+  socket.on('room_invitation', (data) => {
+    console.log('Invited to room:', data);
+    addRoomToList(data.roomName);
+    alert(`${data.invitedBy} invited you to "${data.roomName}"`);
+  });
+
+  socket.on('room_updated', (data) => {
+    console.log('Room updated:', data);
+  });
+
+  // ========== MODERATION EVENTS ==========
+
+  socket.on('system_message', (data) => {
+    // "bob was kicked by alice" etc.
+    addToRoom(data.roomName, { type: 'system', text: data.text });
+  });
+
+  socket.on('moderation_action', (data) => {
+    // Something happened to US
+    console.log('Moderation action:', data);
+
+    if (data.action === 'kick' || data.action === 'ban') {
+      forgetRoom(data.roomName);
+    }
+
+    const reason = data.reason ? ` (${data.reason})` : '';
+    alert(`You were ${ACTION_LABELS[data.action]} in "${data.roomName}" by ${data.by}${reason}`);
   });
 
   socket.on('room_deleted', (data) => {
@@ -299,26 +544,132 @@ function connectSocket() {
 
   socket.on('message_history', (messages) => {
     console.log('Received message history:', messages.length);
-    messages.forEach(msg => addMessage(msg));
+    messages
+      .filter(msg => !msg.parentMessageId) // Thread replies live in the thread panel
+      .forEach(msg => addToRoom(msg.roomName, { type: 'message', message: msg }, false));
+
+    if (messages.length > 0 && messages[0].roomName === currentRoom) {
+      markRoomRead(currentRoom);
+    }
   });
 
   socket.on('new_message', (message) => {
     console.log('New message:', message);
-    addMessage(message);
+
+    // Already have it (replayed after a reconnect)
+    if (findMessageEntry(message.roomName, message.messageId)) return;
+
+    addToRoom(message.roomName, { type: 'message', message });
+  });
+
+  socket.on('message_updated', (message) => {
+    console.log('Message edited:', message.messageId);
+    updateMessage(message);
+  });
+
+  socket.on('message_deleted', (data) => {
+    console.log('Message deleted:', data.messageId);
+
+    const message = findMessage(data.roomName, data.messageId);
+    if (message) {
+      updateMessage({ ...message, text: '', deleted: true, deletedBy: data.deletedBy });
+    }
+  });
+
+  socket.on('read_receipt', (data) => {
+    const receipts = roomReceipts.get(data.roomName);
+    if (!receipts) return;
+
+    const previousMessageId = receipts.get(data.username);
+    receipts.set(data.username, data.messageId);
+
+    // We read it in another tab
+    if (data.username === currentUsername) {
+      setUnreadCount(data.roomName, 0);
+    }
+
+    // Move "Seen by ..." from the old message to the new one
+    [previousMessageId, data.messageId].forEach(messageId => {
+      const message = messageId && findMessage(data.roomName, messageId);
+      if (message) updateMessage(message);
+    });
+  });
+
+  socket.on('reactions_updated', (data) => {
+    const message = findMessage(data.roomName, data.messageId);
+    if (message) {
+      updateMessage({ ...message, reactions: data.reactions });
+    }
+  });
+
+  // ========== THREAD EVENTS ==========
+
+  socket.on('thread_reply', (data) => {
+    // Update "N replies" on the parent message
+    const parent = findMessage(data.roomName, data.parentMessageId);
+    if (parent && data.replyCount !== undefined) {
+      updateMessage({ ...parent, replyCount: data.replyCount });
+    }
+
+    if (openThread && openThread.roomName === data.roomName &&
+        openThread.parentMessageId === data.parentMessageId &&
+        !openThread.messages.some(message => message.messageId === data.message.messageId)) {
+      openThread.messages.push(data.message);
+      addMessage(data.message, threadMessages);
+    }
+  });
+
+  socket.on('thread', (data) => {
+    if (!data.parent) return;
+
+    openThread = {
+      roomName: data.roomName,
+      parentMessageId: data.parent.messageId,
+      messages: [data.parent, ...data.replies]
+    };
+
+    threadMessages.innerHTML = '';
+    openThread.messages.forEach(message => addMessage(message, threadMessages));
+    threadPanel.classList.remove('hidden');
   });
 
   socket.on('user_typing', (data) => {
-    showTypingIndicator(data.username);
+    if (data.roomName === currentRoom) {
+      showTypingIndicator(data.username);
+    }
   });
 
-  socket.on('user_stop_typing', () => {
-    hideTypingIndicator();
+  socket.on('user_stop_typing', (data) => {
+    if (data.roomName === currentRoom) {
+      hideTypingIndicator();
+    }
   });
 
   // ========== ERROR EVENTS ==========
 
   socket.on('error', (data) => {
     console.error('Server error:', data.message);
+
+    // Too fast: messages are sent again automatically (see deliver()),
+    // a dropped "typing" doesn't matter
+    if (data.code === 'RATE_LIMITED') {
+      if (!['send_message', 'typing', 'stop_typing', 'mark_read'].includes(data.event)) {
+        alert(`${data.message} Try again in ${data.retryAfter} seconds.`);
+      }
+      return;
+    }
+
+    // Password-protected room: ask for the password and try again
+    if (data.code === 'ROOM_ACCESS_DENIED' &&
+        (data.reason === 'password_required' || data.reason === 'wrong_password')) {
+      const password = prompt(`${data.message}. Password for "${data.roomName}":`);
+
+      if (password) {
+        socket.emit('join_room', { roomName: data.roomName, password });
+      }
+      return;
+    }
+
     alert('Error: ' + data.message);
   });
 }
@@ -337,15 +688,31 @@ createRoomForm.addEventListener('submit', (e) => {
 
   if (!roomName) return;
 
-  socket.emit('create_room', { roomName });
+  socket.emit('create_room', {
+    roomName,
+    visibility: newRoomPrivate.checked ? 'private' : 'public',
+    password: newRoomPassword.value || undefined
+  });
 
   newRoomInput.value = '';
+  newRoomPassword.value = '';
+  newRoomPrivate.checked = false;
 });
 
 /**
- * Join a room
+ * Open a room: switch to it if already joined, otherwise join it
+ * (other joined rooms stay joined and keep receiving messages)
  */
-function joinRoom(roomName) {
+function openRoom(roomName) {
+  currentRoom = roomName;
+  hideTypingIndicator();
+  closeThread();
+
+  if (joinedRooms.has(roomName)) {
+    showRoom(roomName);
+    return;
+  }
+
   console.log('Joining room:', roomName);
 
   // Clear messages
@@ -355,15 +722,38 @@ function joinRoom(roomName) {
 }
 
 /**
- * Leave current room
+ * Leave the room shown on screen
  */
 leaveRoomBtn.addEventListener('click', () => {
   if (currentRoom) {
-    socket.emit('leave_room');
+    socket.emit('leave_room', { roomName: currentRoom });
+    forgetRoom(currentRoom);
+  }
+});
+
+/**
+ * Drop a room from our state (we left it, or were kicked/banned)
+ */
+function forgetRoom(roomName) {
+  joinedRooms.delete(roomName);
+  roomMessages.delete(roomName);
+  roomMembers.delete(roomName);
+  roomReceipts.delete(roomName);
+  lastMarkedRead.delete(roomName);
+  readyRooms.delete(roomName);
+  markRoomJoined(roomName, false);
+
+  // Messages still waiting for this room can't be sent anymore
+  outbox.forEach((item, clientMessageId) => {
+    if (item.roomName === roomName) outbox.delete(clientMessageId);
+  });
+
+  if (roomName === currentRoom) {
     currentRoom = null;
+    closeThread();
     resetRoomUI();
   }
-});
+}
 
 // ============================================================================
 // MESSAGING
@@ -379,32 +769,219 @@ messageForm.addEventListener('submit', (e) => {
 
   if (!text || !currentRoom) return;
 
-  socket.emit('send_message', { text });
+  sendChatMessage({ text, roomName: currentRoom });
 
   messageInput.value = '';
 
   // Stop typing indicator
-  socket.emit('stop_typing');
+  socket.emit('stop_typing', { roomName: currentRoom });
 });
 
+/**
+ * Edit/delete buttons on our own messages, reaction chips and thread links
+ * (one listener per list, since messages come and go)
+ */
+function handleMessageAction(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button || !currentRoom) return;
+
+  const messageId = button.closest('.message').dataset.messageId;
+
+  if (button.dataset.action === 'edit') {
+    const message = findMessage(currentRoom, messageId);
+    const text = prompt('Edit message:', message ? message.text : '');
+
+    if (text && text.trim()) {
+      socket.emit('edit_message', { roomName: currentRoom, messageId, text });
+    }
+  } else if (button.dataset.action === 'delete' && confirm('Delete this message?')) {
+    socket.emit('delete_message', { roomName: currentRoom, messageId });
+  } else if (button.dataset.action === 'react') {
+    // Toggle: remove if it's ours, add otherwise
+    const event = button.classList.contains('mine') ? 'remove_reaction' : 'add_reaction';
+    socket.emit(event, { roomName: currentRoom, messageId, emoji: button.dataset.emoji });
+  } else if (button.dataset.action === 'react-add') {
+    const emoji = prompt('React with:', '👍');
+
+    if (emoji && emoji.trim()) {
+      socket.emit('add_reaction', { roomName: currentRoom, messageId, emoji: emoji.trim() });
+    }
+  } else if (button.dataset.action === 'thread') {
+    socket.emit('get_thread', { roomName: currentRoom, parentMessageId: messageId });
+  }
+}
+
+messagesContainer.addEventListener('click', handleMessageAction);
+threadMessages.addEventListener('click', handleMessageAction);
+
+// ============================================================================
+// THREADS
+// ============================================================================
+
+/**
+ * Reply in the open thread
+ */
+threadForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+
+  const text = threadInput.value.trim();
+
+  if (!text || !openThread) return;
+
+  sendChatMessage({
+    text,
+    roomName: openThread.roomName,
+    parentMessageId: openThread.parentMessageId
+  });
+
+  threadInput.value = '';
+});
+
+closeThreadBtn.addEventListener('click', closeThread);
+
+function closeThread() {
+  openThread = null;
+  threadMessages.innerHTML = '';
+  threadPanel.classList.add('hidden');
+}
+
+// ============================================================================
+// OUTBOX (RELIABLE SENDING)
+// ============================================================================
+
+/**
+ * WHY?
+ * If the connection drops right after we send a message, we can't tell
+ * whether the server got it. So every message:
+ *
+ * 1. Gets a clientMessageId (made up by us) and goes into the outbox
+ * 2. Is sent with an acknowledgement callback
+ * 3. Leaves the outbox when the server answers
+ * 4. No answer in time? Sent again - after reconnecting if needed
+ *
+ * Sending again is safe: the server recognises the clientMessageId
+ * and doesn't save/broadcast the message twice.
+ */
+
+function sendChatMessage({ roomName, text, parentMessageId }) {
+  const item = {
+    clientMessageId: createClientMessageId(),
+    roomName,
+    text,
+    parentMessageId,
+    attempts: 0
+  };
+
+  outbox.set(item.clientMessageId, item);
+  deliver(item);
+}
+
+function deliver(item) {
+  // Not connected (or not back in the room yet)? flushOutbox() sends it later
+  if (!socket || !socket.connected || !readyRooms.has(item.roomName)) return;
+
+  item.attempts++;
+
+  const { clientMessageId, roomName, text, parentMessageId } = item;
+
+  // socket.timeout() = call the callback with an error if there's no answer in time
+  socket.timeout(ACK_TIMEOUT).emit('send_message', { clientMessageId, roomName, text, parentMessageId }, (err, response) => {
+    if (!outbox.has(clientMessageId)) return; // Already confirmed by an earlier attempt
+
+    if (err) {
+      if (item.attempts < MAX_SEND_ATTEMPTS) {
+        console.warn(`No confirmation for message, retrying (attempt ${item.attempts})`);
+        setTimeout(() => deliver(item), RETRY_DELAY);
+      } else {
+        outbox.delete(clientMessageId);
+        alert(`Could not send your message: "${text}"`);
+      }
+      return;
+    }
+
+    // Too fast? Wait as long as the server says, then try again
+    // (doesn't count as a failed attempt - the server is up, just busy with us)
+    if (response.code === 'RATE_LIMITED') {
+      item.attempts--;
+      setTimeout(() => deliver(item), response.retryAfter * 1000);
+      return;
+    }
+
+    // Saved - or rejected, in which case an 'error' event tells the user why
+    outbox.delete(clientMessageId);
+
+    if (response.duplicate) {
+      console.log('Server already had this message:', response.messageId);
+    }
+  });
+}
+
+/**
+ * The rooms we're in and the last message we saw in each,
+ * sent when (re)connecting: { general: '<messageId>', random: null }
+ */
+function buildResumeInfo() {
+  const resume = {};
+
+  joinedRooms.forEach(roomName => {
+    const entries = roomMessages.get(roomName) || [];
+    const lastEntry = [...entries].reverse().find(entry => entry.type === 'message');
+    resume[roomName] = lastEntry ? lastEntry.message.messageId : null;
+  });
+
+  return resume;
+}
+
+/**
+ * Send every waiting message of a room (after joining it again)
+ */
+function flushOutbox(roomName) {
+  outbox.forEach(item => {
+    if (item.roomName === roomName) deliver(item);
+  });
+}
+
+function createClientMessageId() {
+  if (window.crypto && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
 /**
  * Handle typing
  */
 messageInput.addEventListener('input', () => {
   if (!currentRoom) return;
 
-  // Emit typing event
-  socket.emit('typing');
+  const roomName = currentRoom;
+
+  // Emit typing event (not on every key press - once every few seconds is enough)
+  if (Date.now() - typingSentAt > TYPING_THROTTLE) {
+    socket.emit('typing', { roomName });
+    typingSentAt = Date.now();
+  }
 
   // Clear previous timeout
   clearTimeout(typingTimeout);
 
   // Stop typing after 1 second of no input
   typingTimeout = setTimeout(() => {
-    socket.emit('stop_typing');
+    socket.emit('stop_typing', { roomName });
+    typingSentAt = 0;
   }, 1000);
 });
 
+/**
+ * Presence: this tab is "away" while it's hidden (other tab, minimized)
+ * The server shows us as online if ANY of our tabs is visible
+ */
+document.addEventListener('visibilitychange', () => {
+  if (!socket || !socket.connected) return;
+
+  socket.emit('set_presence', { status: document.hidden ? 'away' : 'online' });
+});
+
 // ============================================================================
 // UI UPDATE FUNCTIONS
 // ============================================================================
@@ -427,6 +1004,21 @@ function showLoginScreen() {
   resetRoomUI();
 }
 
+/**
+ * Reconnect after `delay` milliseconds (unless we logged out meanwhile)
+ */
+function reconnectLater(delay) {
+  const current = socket;
+
+  connectionStatus.textContent = 'Reconnecting...';
+
+  setTimeout(() => {
+    if (socket === current && authToken && !current.connected) {
+      current.connect();
+    }
+  }, delay);
+}
+
 /**
  * Update connection status indicator
  */
@@ -449,8 +1041,12 @@ function updateRoomsList(rooms) {
     return;
   }
 
+  // rooms = [{ roomName, unreadCount }]
   roomsList.innerHTML = '';
-  rooms.forEach(room => addRoomToList(room));
+  rooms.forEach(room => {
+    addRoomToList(room.roomName);
+    setUnreadCount(room.roomName, room.unreadCount);
+  });
 }
 
 /**
@@ -468,11 +1064,15 @@ function addRoomToList(roomName) {
   }
 
   const roomElement = document.createElement('div');
-  roomElement.className = 'room-item';
+  roomElement.className = joinedRooms.has(roomName) ? 'room-item joined' : 'room-item';
   roomElement.dataset.room = roomName;
   roomElement.textContent = roomName;
+
+  const unreadCount = roomUnreadCounts.get(roomName) || 0;
+  roomElement.classList.toggle('unread', unreadCount > 0);
+  roomElement.dataset.unread = unreadCount;
   roomElement.addEventListener('click', () => {
-    joinRoom(roomName);
+    openRoom(roomName);
     // Update active state
     document.querySelectorAll('.room-item').forEach(r => r.classList.remove('active'));
     roomElement.classList.add('active');
@@ -496,12 +1096,102 @@ function removeRoomFromList(roomName) {
   }
 }
 
+/**
+ * Show a joined room: its messages, user count and header
+ */
+function showRoom(roomName) {
+  messagesContainer.innerHTML = '';
+  (roomMessages.get(roomName) || []).forEach(renderEntry);
+  scrollToBottom();
+
+  updateCurrentRoom({ roomName });
+
+  // Update active state
+  document.querySelectorAll('.room-item').forEach(r => r.classList.remove('active'));
+  const roomElement = document.querySelector(`[data-room="${roomName}"]`);
+  if (roomElement) {
+    roomElement.classList.add('active');
+  }
+
+  markRoomRead(roomName);
+}
+
+/**
+ * We've seen every message of this room: clear the unread counter
+ * and tell the server (which sends a read_receipt to the room)
+ */
+function markRoomRead(roomName) {
+  setUnreadCount(roomName, 0);
+
+  const entries = roomMessages.get(roomName) || [];
+  const lastEntry = [...entries].reverse().find(entry => entry.type === 'message');
+
+  if (lastEntry && lastMarkedRead.get(roomName) !== lastEntry.message.messageId) {
+    lastMarkedRead.set(roomName, lastEntry.message.messageId);
+    socket.emit('mark_read', { roomName, messageId: lastEntry.message.messageId });
+  }
+}
+
+/**
+ * Show the number of unread messages next to a room in the list
+ */
+function setUnreadCount(roomName, count) {
+  roomUnreadCounts.set(roomName, count);
+
+  const roomElement = document.querySelector(`[data-room="${roomName}"]`);
+  if (roomElement) {
+    roomElement.classList.toggle('unread', count > 0);
+    roomElement.dataset.unread = count > 99 ? '99+' : count;
+  }
+}
+
+/**
+ * Remember a message (or system notice) for a room and show it if
+ * that room is on screen - otherwise count it as unread
+ *
+ * entry = { type: 'message', message } or { type: 'system', text }
+ */
+function addToRoom(roomName, entry, markUnread = true) {
+  if (!joinedRooms.has(roomName)) return;
+
+  roomMessages.get(roomName).push(entry);
+
+  if (roomName === currentRoom) {
+    renderEntry(entry);
+    if (entry.type === 'system') {
+      updateRoomUsers(roomName);
+    } else if (markUnread) {
+      markRoomRead(roomName);
+    }
+  } else if (markUnread && entry.type === 'message' && entry.message.sender !== currentUsername) {
+    setUnreadCount(roomName, (roomUnreadCounts.get(roomName) || 0) + 1);
+  }
+}
+
+function renderEntry(entry) {
+  if (entry.type === 'system') {
+    addSystemMessage(entry.text);
+  } else {
+    addMessage(entry.message);
+  }
+}
+
+/**
+ * Show in the rooms list which rooms we are in
+ */
+function markRoomJoined(roomName, joined) {
+  const roomElement = document.querySelector(`[data-room="${roomName}"]`);
+  if (roomElement) {
+    roomElement.classList.toggle('joined', joined);
+  }
+}
+
 /**
  * Update current room UI
  */
 function updateCurrentRoom(data) {
   currentRoomName.textContent = `# ${data.roomName}`;
-  updateUserCount(data.userCount);
+  updateRoomUsers(data.roomName);
   messageInput.disabled = false;
   sendBtn.disabled = false;
   messageInput.placeholder = 'Type a message...';
@@ -520,6 +1210,7 @@ function updateCurrentRoom(data) {
 function resetRoomUI() {
   currentRoomName.textContent = 'Select a room to start chatting';
   roomUsers.textContent = '';
+  roomUsers.title = '';
   messageInput.disabled = true;
   sendBtn.disabled = true;
   messageInput.placeholder = 'Select a room to send messages...';
@@ -536,36 +1227,175 @@ function resetRoomUI() {
 }
 
 /**
- * Update user count
+ * Update the "3 users (1 away)" line under the room name
+ * Hovering it lists everyone with their status
  */
-function updateUserCount(count) {
-  roomUsers.textContent = `${count} ${count === 1 ? 'user' : 'users'} online`;
+function updateRoomUsers(roomName) {
+  const members = Array.from(roomMembers.get(roomName) || []);
+  const statusOf = (username) => userPresence.get(username) || 'offline';
+  const away = members.filter(username => statusOf(username) === 'away').length;
+
+  roomUsers.textContent = `${members.length} ${members.length === 1 ? 'user' : 'users'}` +
+    (away > 0 ? ` (${away} away)` : '');
+  roomUsers.title = members.map(username => `${username} (${statusOf(username)})`).join('\n');
 }
 
 /**
  * Add a regular message
  */
-function addMessage(message) {
+function addMessage(message, container = messagesContainer) {
   const messageElement = document.createElement('div');
   messageElement.className = 'message';
+  messageElement.dataset.messageId = message.messageId;
+
+  fillMessage(messageElement, message);
 
+  container.appendChild(messageElement);
+  container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Put a message's content into its element
+ * (used for new messages AND to patch edited/deleted ones in place)
+ */
+function fillMessage(messageElement, message) {
   const time = new Date(message.timestamp).toLocaleTimeString([], {
     hour: '2-digit',
     minute: '2-digit'
   });
 
+  const edited = message.editedAt && !message.deleted ? ' <span class="message-edited">(edited)</span>' : '';
+
+  // Only our own messages get edit/delete buttons
+  const actions = message.sender === currentUsername && !message.deleted ? `
+    <span class="message-actions">
+      <button type="button" data-action="edit" title="Edit">✏️</button>
+      <button type="button" data-action="delete" title="Delete">🗑️</button>
+    </span>
+  ` : '';
+
+  const text = message.deleted
+    ? '<div class="message-text message-deleted">This message was deleted</div>'
+    : `<div class="message-text">${escapeHtml(message.text)}${edited}</div>`;
+
   messageElement.innerHTML = `
     <div class="message-bubble">
       <div class="message-header">
         <span class="message-sender">${escapeHtml(message.sender)}</span>
         <span class="message-time">${time}</span>
+        ${actions}
       </div>
-      <div class="message-text">${escapeHtml(message.text)}</div>
+      ${text}
+      ${message.deleted ? '' : renderReactions(message.reactions || [])}
+      ${message.parentMessageId ? '' : renderThreadLink(message)}
+      ${renderSeenBy(message)}
     </div>
   `;
+}
 
-  messagesContainer.appendChild(messageElement);
-  scrollToBottom();
+/**
+ * "Seen by alice, bob" under the last message each user has read
+ */
+function renderSeenBy(message) {
+  const receipts = roomReceipts.get(message.roomName);
+  if (!receipts) return '';
+
+  const readers = Array.from(receipts)
+    .filter(([username, messageId]) => messageId === message.messageId && username !== currentUsername)
+    .map(([username]) => username);
+
+  return readers.length > 0
+    ? `<div class="message-seen">Seen by ${escapeHtml(readers.join(', '))}</div>`
+    : '';
+}
+
+/**
+ * "💬 3 replies" under a message (opens the thread panel)
+ */
+function renderThreadLink(message) {
+  const replyCount = message.replyCount || 0;
+
+  if (message.deleted && replyCount === 0) return '';
+
+  const label = replyCount === 0 ? 'Reply' : `${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`;
+
+  return `<button type="button" class="thread-link" data-action="thread">💬 ${label}</button>`;
+}
+
+/**
+ * Reaction chips under a message: "👍 2  🎉 1  +"
+ * Our own reactions are highlighted - click a chip to toggle it
+ */
+function renderReactions(reactions) {
+  const chips = reactions.map(reaction => `
+    <button
+      type="button"
+      class="reaction-chip ${reaction.users.includes(currentUsername) ? 'mine' : ''}"
+      data-action="react"
+      data-emoji="${escapeHtml(reaction.emoji)}"
+      title="${escapeHtml(reaction.users.join(', '))}"
+    >${escapeHtml(reaction.emoji)} ${reaction.count}</button>
+  `).join('');
+
+  return `
+    <div class="message-reactions">
+      ${chips}
+      <button type="button" class="reaction-chip reaction-add" data-action="react-add" title="Add reaction">+</button>
+    </div>
+  `;
+}
+
+/**
+ * Find the stored entry of a message in a room (or undefined)
+ */
+function findMessageEntry(roomName, messageId) {
+  return (roomMessages.get(roomName) || [])
+    .find(entry => entry.type === 'message' && entry.message.messageId === messageId);
+}
+
+/**
+ * Find a message we know about: in a room, or in the open thread
+ */
+function findMessage(roomName, messageId) {
+  const entry = findMessageEntry(roomName, messageId);
+  if (entry) return entry.message;
+
+  if (openThread && openThread.roomName === roomName) {
+    return openThread.messages.find(message => message.messageId === messageId);
+  }
+}
+
+/**
+ * A message was edited or deleted: update our copy and, if it's
+ * on screen, patch its element (no need to redraw the whole room)
+ */
+function updateMessage(message) {
+  const entry = findMessageEntry(message.roomName, message.messageId);
+
+  if (entry) {
+    entry.message = message;
+  }
+
+  // The same message can be on screen twice: in the room AND in the thread panel
+  if (message.roomName === currentRoom) {
+    patchMessageElement(messagesContainer, message);
+  }
+
+  if (openThread && openThread.roomName === message.roomName) {
+    const index = openThread.messages.findIndex(m => m.messageId === message.messageId);
+
+    if (index !== -1) {
+      openThread.messages[index] = message;
+      patchMessageElement(threadMessages, message);
+    }
+  }
+}
+
+function patchMessageElement(container, message) {
+  const messageElement = container.querySelector(`[data-message-id="${message.messageId}"]`);
+  if (messageElement) {
+    fillMessage(messageElement, message);
+  }
 }
 
 /**
@@ -664,9 +1494,13 @@ function hideLoading() {
  * Escape HTML to prevent XSS attacks
  */
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  // Quotes too: the result is also used inside attributes (data-emoji="...")
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 // ============================================================================
@@ -683,6 +1517,7 @@ window.addEventListener('load', () => {
   if (savedToken && savedUsername) {
     // User has a saved session
     authToken = savedToken;
+    refreshToken = localStorage.getItem('refresh_token');
     currentUsername = savedUsername;
 
     // Try to connect
@@ -14,34 +14,99 @@
  * - Controller says: "Here's how we handle registration"
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { userStore } = require('../stores/user.store');
+const { tokenStore } = require('../stores/token.store');
+const { signToken } = require('../utils/jwt');
+const {
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt
+} = require('../utils/loginProtection');
 
 // ============================================================================
-// IN-MEMORY USER STORAGE
+// USER STORAGE
 // ============================================================================
 
 /**
- * WHY IN-MEMORY STORAGE?
+ * WHERE ARE USERS STORED?
  *
- * For learning and simplicity, we use a JavaScript Map.
+ * In the user store (see stores/user.store.js):
+ * - USER_STORE=memory → JavaScript Map (lost on restart, good for learning)
+ * - USER_STORE=file   → Saved to a JSON file (survives restarts)
  *
- * In PRODUCTION, you'd use a database:
+ * The controller doesn't care which one is used - it only calls
+ * userStore.findByUsername(), userStore.create() and userStore.list().
+ *
+ * In PRODUCTION, you'd add a database implementation:
  * - MongoDB (NoSQL)
  * - PostgreSQL (SQL)
  * - MySQL (SQL)
- *
- * Map<username, userObject>
- * Example: users.get('alice') → { userId: '123', username: 'alice', ... }
  */
 
-const users = new Map();
-
 // Helper: Generate unique user ID
 function generateUserId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+// Helper: Create a new access token + refresh token for a session
+async function issueTokens(user, sessionId) {
+  /**
+   * ACCESS TOKEN (JWT)
+   * - sid: Which login session it belongs to (checked against revocation list)
+   * - jwtid (jti): Unique ID of this specific token
+   * - Expires quickly (ACCESS_TOKEN_TTL, default 15 minutes)
+   * - Signed by utils/jwt.js (current key, issuer, audience)
+   */
+  const token = signToken(
+    {
+      userId: user.userId,
+      username: user.username,
+      sid: sessionId
+    },
+    {
+      expiresIn: tokenStore.accessTokenTtl,
+      jwtid: crypto.randomBytes(8).toString('hex')
+    }
+  );
+
+  /**
+   * REFRESH TOKEN (random string, stored server-side)
+   * - Used ONLY to get a new access token (POST /api/auth/refresh)
+   * - Lives much longer (REFRESH_TOKEN_TTL, default 7 days)
+   */
+  const refreshToken = await tokenStore.createRefreshToken({
+    userId: user.userId,
+    username: user.username,
+    sessionId
+  });
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: tokenStore.accessTokenTtl // Seconds until `token` expires
+  };
+}
+
+// Helper: Answer a locked-out login attempt (see utils/loginProtection.js)
+function sendLockedOut(res, retryAfter) {
+  /**
+   * Example response:
+   * HTTP/1.1 429 Too Many Requests
+   * Retry-After: 60
+   * { "error": "Too many login attempts", "message": "...", "retryAfter": 60 }
+   */
+  res.set('Retry-After', String(retryAfter));
+
+  return res.status(429).json({
+    error: 'Too many login attempts',
+    message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+    retryAfter
+  });
+}
+
 // ============================================================================
 // REGISTER CONTROLLER
 // ============================================================================
@@ -50,11 +115,12 @@ function generateUserId() {
  * REGISTRATION FLOW:
  *
  * 1. Client sends: { username, password }
- * 2. Validate input (length, format)
- * 3. Check if username already exists
- * 4. Hash password (NEVER store plain text)
- * 5. Save user to storage
- * 6. Return success response
+ *    (already checked by validateBody(registerSchema), see routes/auth.routes.js:
+ *    lengths, allowed characters - so req.body is safe to use here)
+ * 2. Check if username already exists
+ * 3. Hash password (NEVER store plain text)
+ * 4. Save user to storage
+ * 5. Return success response
  */
 
 exports.register = async (req, res) => {
@@ -62,62 +128,14 @@ exports.register = async (req, res) => {
     // STEP 1: Extract data from request body
     const { username, password } = req.body;
 
-    console.log(`📝 Registration attempt: ${username}`);
+    // req.log adds this request's ID to every line (see utils/logger.js)
+    req.log.debug('Registration attempt', { username });
 
     // ========================================================================
-    // STEP 2: INPUT VALIDATION
+    // STEP 2: CHECK IF USER ALREADY EXISTS
     // ========================================================================
 
-    /**
-     * WHY VALIDATE?
-     *
-     * - Prevent invalid data in database
-     * - Give clear error messages to users
-     * - Security (prevent injection attacks)
-     */
-
-    // Check if fields are provided
-    if (!username || !password) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Username and password are required',
-        fields: {
-          username: !username ? 'Username is required' : null,
-          password: !password ? 'Password is required' : null
-        }
-      });
-    }
-
-    // Validate username length
-    if (username.length < 3 || username.length > 20) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Username must be between 3 and 20 characters'
-      });
-    }
-
-    // Validate password length
-    if (password.length < 6) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Password must be at least 6 characters long'
-      });
-    }
-
-    // Validate username format (alphanumeric and underscore only)
-    const usernameRegex = /^[a-zA-Z0-9_]+$/;
-    if (!usernameRegex.test(username)) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Username can only contain letters, numbers, and underscores'
-      });
-    }
-
-    // ========================================================================
-    // STEP 3: CHECK IF USER ALREADY EXISTS
-    // ========================================================================
-
-    if (users.has(username)) {
+    if (await userStore.findByUsername(username)) {
       return res.status(409).json({
         error: 'Conflict',
         message: 'Username already exists'
@@ -125,7 +143,7 @@ exports.register = async (req, res) => {
     }
 
     // ========================================================================
-    // STEP 4: HASH PASSWORD
+    // STEP 3: HASH PASSWORD
     // ========================================================================
 
     /**
@@ -155,10 +173,10 @@ exports.register = async (req, res) => {
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    console.log(`🔒 Password hashed for: ${username}`);
+    req.log.debug('Password hashed', { username });
 
     // ========================================================================
-    // STEP 5: CREATE USER OBJECT
+    // STEP 4: CREATE USER OBJECT
     // ========================================================================
 
     const userId = generateUserId();
@@ -170,12 +188,20 @@ exports.register = async (req, res) => {
     };
 
     // Save to storage
-    users.set(username, user);
+    // (create() checks again, in case someone took the name while we were hashing)
+    const created = await userStore.create(user);
+
+    if (!created) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Username already exists'
+      });
+    }
 
-    console.log(`✅ User registered: ${username} (ID: ${userId})`);
+    req.log.info('User registered', { userId, username });
 
     // ========================================================================
-    // STEP 6: SEND SUCCESS RESPONSE
+    // STEP 5: SEND SUCCESS RESPONSE
     // ========================================================================
 
     /**
@@ -200,7 +226,7 @@ exports.register = async (req, res) => {
     // ERROR HANDLING
     // ========================================================================
 
-    console.error('❌ Registration error:', error);
+    req.log.error('Registration failed', { error });
 
     res.status(500).json({
       error: 'Internal server error',
@@ -217,38 +243,70 @@ exports.register = async (req, res) => {
  * LOGIN FLOW:
  *
  * 1. Client sends: { username, password }
- * 2. Validate input
+ *    (already checked by validateBody(loginSchema), see routes/auth.routes.js)
+ * 2. Stop here if there were too many failed attempts (429)
  * 3. Check if user exists
  * 4. Compare password hash
- * 5. Generate JWT token
- * 6. Return token to client
+ * 5. Start a session and generate tokens
+ * 6. Return tokens to client
+ *
+ * Failed logins (steps 3 and 4) are counted, see utils/loginProtection.js
  */
 
 exports.login = async (req, res) => {
+  // STEP 1: Extract credentials
+  const { username, password } = req.body;
+
+  // true once this login holds a reserved attempt (see STEP 2)
+  let reserved = false;
+
   try {
-    // STEP 1: Extract credentials
-    const { username, password } = req.body;
 
-    console.log(`🔑 Login attempt: ${username}`);
+    req.log.debug('Login attempt', { username });
 
     // ========================================================================
-    // STEP 2: INPUT VALIDATION
+    // STEP 2: TOO MANY FAILED ATTEMPTS?
     // ========================================================================
 
-    if (!username || !password) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Username and password are required'
-      });
+    /**
+     * BRUTE-FORCE PROTECTION
+     *
+     * After a few wrong passwords (from this IP, or for this username),
+     * logins are locked for a while - longer after every new failure.
+     *
+     * We check BEFORE looking at the password, so a locked-out attacker
+     * learns nothing, even if they guess right.
+     *
+     * Checking also RESERVES this attempt (in one step), so logins sent
+     * at the same time can't all slip through before any is counted.
+     *
+     * HTTP STATUS CODE: 429 Too Many Requests
+     * The Retry-After header says how many seconds to wait.
+     */
+
+    const retryAfter = await reserveLoginAttempt(req.ip, username);
+
+    if (retryAfter > 0) {
+      req.log.warn('Login locked', { username, ip: req.ip, retryAfter });
+      return sendLockedOut(res, retryAfter);
     }
 
+    reserved = true;
+
     // ========================================================================
     // STEP 3: CHECK IF USER EXISTS
     // ========================================================================
 
-    const user = users.get(username);
+    const user = await userStore.findByUsername(username);
 
     if (!user) {
+      req.log.warn('Login failed: unknown user', { username, ip: req.ip });
+
+      // Counts as a failure too - otherwise unknown usernames could be
+      // tried forever (and we'd reveal which usernames exist)
+      reserved = false;
+      await recordLoginFailure(req.ip, username);
+
       // Security note: Don't reveal whether username exists
       // Instead, give generic "invalid credentials" message
       return res.status(401).json({
@@ -281,7 +339,10 @@ exports.login = async (req, res) => {
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
-      console.log(`❌ Invalid password for: ${username}`);
+      req.log.warn('Login failed: invalid password', { userId: user.userId, username, ip: req.ip });
+
+      reserved = false;
+      await recordLoginFailure(req.ip, username);
 
       return res.status(401).json({
         error: 'Authentication failed',
@@ -290,43 +351,37 @@ exports.login = async (req, res) => {
     }
 
     // ========================================================================
-    // STEP 5: GENERATE JWT TOKEN
+    // STEP 5: START SESSION AND GENERATE TOKENS
     // ========================================================================
 
     /**
      * JWT TOKEN GENERATION
      *
      * Token contains:
-     * - Payload: User data (userId, username)
+     * - Payload: User data (userId, username, session ID)
      * - Expiration: When token becomes invalid
      * - Signature: Cryptographic proof of authenticity
      *
      * Why JWT?
-     * - Stateless: Server doesn't store sessions
-     * - Scalable: Any server can verify token
+     * - Stateless: Any server can verify token
      * - Self-contained: Token has all needed info
      *
      * Security:
      * - Signed with SECRET key (only we know)
      * - If anyone changes payload, signature won't match
-     * - Expires after 24 hours (security best practice)
+     * - Expires after 15 minutes, so a stolen token is useful only briefly
+     * - Refresh token gets a new one without logging in again
+     * - Logout revokes the session, so both tokens stop working
      */
 
-    const token = jwt.sign(
-      // Payload (data to store in token)
-      {
-        userId: user.userId,
-        username: user.username
-      },
-      // Secret key (must match in verification)
-      process.env.JWT_SECRET,
-      // Options
-      {
-        expiresIn: '24h' // Token valid for 24 hours
-      }
-    );
+    // Correct password: this username's failed attempts start over
+    reserved = false;
+    await recordLoginSuccess(req.ip, username);
 
-    console.log(`✅ Login successful: ${username}`);
+    const sessionId = tokenStore.createSessionId();
+    const { token, refreshToken, expiresIn } = await issueTokens(user, sessionId);
+
+    req.log.info('Login successful', { userId: user.userId, username, sessionId });
 
     // ========================================================================
     // STEP 6: SEND SUCCESS RESPONSE
@@ -345,6 +400,8 @@ exports.login = async (req, res) => {
       success: true,
       message: 'Login successful',
       token, // Client must include this in future requests
+      refreshToken, // Client keeps this to get a new token when it expires
+      expiresIn,
       user: {
         userId: user.userId,
         username: user.username,
@@ -357,7 +414,14 @@ exports.login = async (req, res) => {
     // ERROR HANDLING
     // ========================================================================
 
-    console.error('❌ Login error:', error);
+    req.log.error('Login failed', { error });
+
+    // Not the user's fault - don't count it as a failed attempt
+    if (reserved) {
+      await releaseLoginAttempt(req.ip, username).catch(releaseError => {
+        req.log.error('Could not release login attempt', { error: releaseError });
+      });
+    }
 
     res.status(500).json({
       error: 'Internal server error',
@@ -366,6 +430,102 @@ exports.login = async (req, res) => {
   }
 };
 
+// ============================================================================
+// REFRESH CONTROLLER
+// ============================================================================
+
+/**
+ * REFRESH FLOW:
+ *
+ * 1. Client sends: { refreshToken } (checked by validateBody(refreshSchema))
+ * 2. Use up the refresh token (each one works only ONCE)
+ * 3. Check the user still exists
+ * 4. Issue a NEW access token + NEW refresh token (same session)
+ *
+ * This is called "refresh token rotation": if an attacker steals a
+ * refresh token and uses it, the real user's next refresh fails, and
+ * reusing an old token revokes the whole session.
+ */
+
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = await tokenStore.consumeRefreshToken(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid or expired refresh token. Please login again.'
+      });
+    }
+
+    const user = await userStore.findByUsername(session.username);
+
+    if (!user || user.userId !== session.userId) {
+      await tokenStore.revokeSession(session.sessionId);
+
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'User no longer exists'
+      });
+    }
+
+    const tokens = await issueTokens(user, session.sessionId);
+
+    req.log.info('Tokens refreshed', { userId: user.userId, sessionId: session.sessionId });
+
+    res.status(200).json({
+      success: true,
+      ...tokens
+    });
+
+  } catch (error) {
+    req.log.error('Token refresh failed', { error });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Token refresh failed. Please try again later.'
+    });
+  }
+};
+
+// ============================================================================
+// LOGOUT CONTROLLER
+// ============================================================================
+
+/**
+ * LOGOUT FLOW:
+ *
+ * 1. authenticateHTTP has already verified the access token
+ *    (and put the session ID in req.user.sessionId)
+ * 2. Revoke the session:
+ *    - Refresh tokens of this session are deleted
+ *    - Access tokens of this session are rejected from now on
+ *    - Open sockets of this session are disconnected
+ */
+
+exports.logout = async (req, res) => {
+  try {
+    await tokenStore.revokeSession(req.user.sessionId);
+
+    req.log.info('Logged out', { userId: req.user.userId, sessionId: req.user.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    req.log.error('Logout failed', { error });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Logout failed. Please try again later.'
+    });
+  }
+};
+
 // ============================================================================
 // HELPER: GET ALL USERS (For debugging only)
 // ============================================================================
@@ -377,16 +537,26 @@ exports.login = async (req, res) => {
  * It shows all registered users (without passwords).
  */
 
-exports.getAllUsers = (req, res) => {
-  const allUsers = Array.from(users.values()).map(user => ({
-    userId: user.userId,
-    username: user.username,
-    createdAt: user.createdAt
-    // Password is excluded for security
-  }));
+exports.getAllUsers = async (req, res) => {
+  try {
+    const allUsers = (await userStore.list()).map(user => ({
+      userId: user.userId,
+      username: user.username,
+      createdAt: user.createdAt
+      // Password is excluded for security
+    }));
+
+    res.json({
+      count: allUsers.length,
+      users: allUsers
+    });
 
-  res.json({
-    count: allUsers.length,
-    users: allUsers
-  });
+  } catch (error) {
+    req.log.error('Listing users failed', { error });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Could not load users'
+    });
+  }
 };
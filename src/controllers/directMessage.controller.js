@@ -0,0 +1,179 @@
+/**
+ * DIRECT MESSAGE CONTROLLER
+ *
+ * Handles private one-to-one messages between two users
+ *
+ * HOW IS THIS DIFFERENT FROM ROOMS?
+ * - Room message: io.to('general').emit(...)  → everyone in the room
+ * - Direct message: io.to('user:<bobId>').emit(...) → every socket of Bob
+ *
+ * Every socket joins its user's private room "user:<userId>" when it
+ * connects (see socket.controller.js), so a direct message reaches ALL of
+ * the recipient's open tabs and devices - and all of the sender's too,
+ * so their other tabs show the message they just sent.
+ *
+ * HISTORY:
+ * Direct messages are saved in the message store under a conversation ID
+ * ("dm:<userIdA>:<userIdB>") - the same for both directions.
+ */
+
+const { messageStore } = require('../stores/message.store');
+const { userStore } = require('../stores/user.store');
+const { createEventHandler } = require('../utils/socketEvents');
+const { userChannel, conversationId } = require('../utils/channels');
+const { generateMessageId } = require('../utils/ids');
+const { countMessage } = require('../utils/metrics');
+
+// How many messages get_direct_messages returns (at most)
+const HISTORY_LIMIT = parseInt(process.env.MESSAGE_HISTORY_LIMIT, 10) || 50;
+
+// ============================================================================
+// HELPER: FIND THE OTHER USER
+// ============================================================================
+
+/**
+ * Look up a user by username ({ to: 'bob' }) or by ID ({ toUserId: '...' })
+ * Returns null if no such user is registered
+ */
+async function findUser(username, userId) {
+  if (userId) {
+    return userStore.findById(userId);
+  }
+
+  if (username) {
+    return userStore.findByUsername(username);
+  }
+
+  return null;
+}
+
+// ============================================================================
+// MAIN SOCKET HANDLER
+// ============================================================================
+
+/**
+ * Called for EACH connected client (next to the socket controller)
+ *
+ * @param {SocketIO.Server} io - The Socket.IO server instance
+ * @param {SocketIO.Socket} socket - Individual client connection
+ */
+
+module.exports = (io, socket) => {
+  const handle = createEventHandler(socket);
+
+  // ==========================================================================
+  // EVENT: send_direct_message
+  // Client sends a private message to another user
+  // ==========================================================================
+
+  handle('send_direct_message', async (data, ack) => {
+    /**
+     * FLOW:
+     * 1. Check the recipient exists
+     *    (the text was already checked and trimmed, see utils/schemas.js)
+     * 2. Create and save message
+     * 3. Deliver to all sockets of recipient AND sender
+     * 4. Acknowledge to sender (messageId + was the recipient online?)
+     *
+     * ACKNOWLEDGEMENT:
+     * The client can pass a callback as the last argument:
+     *
+     * socket.emit('send_direct_message', { to: 'bob', text: 'Hi!' }, (response) => {
+     *   // response = { success: true, messageId: '...', delivered: true }
+     * });
+     */
+
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    const fail = (message, code) => {
+      socket.emit('error', { message, code });
+      reply({ success: false, message, code });
+    };
+
+    // -------------------------------------------------------------------------
+    // CHECK RECIPIENT
+    // -------------------------------------------------------------------------
+
+    const recipient = await findUser(data.to, data.toUserId);
+
+    if (!recipient) {
+      return fail('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (recipient.userId === socket.userId) {
+      return fail('You cannot send a direct message to yourself', 'INVALID_RECIPIENT');
+    }
+
+    // -------------------------------------------------------------------------
+    // CREATE AND SAVE MESSAGE
+    // -------------------------------------------------------------------------
+
+    const message = {
+      messageId: generateMessageId(),
+      text: data.text,
+      sender: socket.username,
+      senderId: socket.userId,
+      recipient: recipient.username,
+      recipientId: recipient.userId,
+      conversationId: conversationId(socket.userId, recipient.userId),
+      timestamp: Date.now()
+    };
+
+    await messageStore.append(message);
+    countMessage('direct');
+
+    socket.log.debug('Direct message sent', { messageId: message.messageId, recipientId: recipient.userId });
+
+    // -------------------------------------------------------------------------
+    // DELIVER
+    // -------------------------------------------------------------------------
+
+    /**
+     * io.to(A).to(B) = Send to everyone in room A OR room B
+     * (a socket in both only gets it once)
+     */
+
+    io.to(userChannel(recipient.userId))
+      .to(userChannel(socket.userId))
+      .emit('direct_message', message);
+
+    // Is the recipient connected right now? (on any server process)
+    const recipientSockets = await io.in(userChannel(recipient.userId)).fetchSockets();
+
+    reply({
+      success: true,
+      messageId: message.messageId,
+      delivered: recipientSockets.length > 0 // false = they'll see it in their history later
+    });
+  });
+
+  // ==========================================================================
+  // EVENT: get_direct_messages
+  // Client asks for the history of a private conversation
+  // ==========================================================================
+
+  handle('get_direct_messages', async (data) => {
+    const otherUser = await findUser(data.with, data.withUserId);
+
+    if (!otherUser) {
+      socket.emit('error', {
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+      return;
+    }
+
+    const messages = await messageStore.getRecent(
+      conversationId(socket.userId, otherUser.userId),
+      HISTORY_LIMIT
+    );
+
+    socket.emit('direct_message_history', {
+      with: {
+        userId: otherUser.userId,
+        username: otherUser.username
+      },
+      messages // Oldest first
+    });
+  });
+};
@@ -0,0 +1,108 @@
+/**
+ * HEALTH CONTROLLER
+ *
+ * Endpoints for load balancers, Docker and Kubernetes to ask
+ * "how is this server doing?"
+ *
+ * LIVENESS vs READINESS:
+ * - Live  (GET /api/health/live):  "Is the process still working?"
+ *   If not → RESTART it. Only fails if the server can't answer at all,
+ *   so a broken Redis doesn't get every server restarted over and over.
+ *
+ * - Ready (GET /api/health/ready): "Should new users be sent here?"
+ *   If not → send traffic to another server (but don't restart).
+ *   503 while a dependency is down, and as soon as shutdown starts.
+ *
+ * Example (Kubernetes):
+ *   livenessProbe:  { httpGet: { path: /api/health/live,  port: 3003 } }
+ *   readinessProbe: { httpGet: { path: /api/health/ready, port: 3003 } }
+ */
+
+const { isShuttingDown, runHealthChecks } = require('../utils/health');
+const { chatRoomSizes } = require('../utils/channels');
+
+// ============================================================================
+// GET /api/health
+// ============================================================================
+
+/**
+ * The original health check (kept for existing monitors)
+ * No longer says "healthy" while the server is shutting down
+ */
+
+exports.health = (req, res) => {
+  if (isShuttingDown()) {
+    return res.status(503).json({
+      status: 'shutting_down',
+      message: 'SocketLink server is shutting down',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
+  }
+
+  res.json({
+    status: 'healthy',
+    message: 'SocketLink server is running',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime() // How long server has been running (seconds)
+  });
+};
+
+// ============================================================================
+// GET /api/health/live
+// ============================================================================
+
+/**
+ * Answering at all means the event loop is running - that's all we check.
+ * Still 200 while shutting down: restarting a server that is busy
+ * finishing up would only make things worse.
+ */
+
+exports.live = (req, res) => {
+  res.json({
+    status: 'alive',
+    shuttingDown: isShuttingDown(),
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+};
+
+// ============================================================================
+// GET /api/health/ready
+// ============================================================================
+
+/**
+ * Example response:
+ * {
+ *   status: 'ready',                 // or 'not_ready' (HTTP 503)
+ *   shuttingDown: false,
+ *   checks: {
+ *     userStore:    { status: 'up', type: 'file' },
+ *     messageStore: { status: 'up', type: 'memory' },
+ *     redisAdapter: { status: 'disabled' },
+ *     redisStores:  { status: 'disabled' }
+ *   },
+ *   sockets: 12,                     // Connected to THIS process
+ *   rooms: 3,                        // Chat rooms with sockets on this process
+ *   timestamp: '...',
+ *   uptime: 3600
+ * }
+ *
+ * @param {SocketIO.Server} io - To count sockets and rooms
+ */
+
+exports.ready = (io) => async (req, res) => {
+  const { ok, checks } = await runHealthChecks();
+  const shuttingDown = isShuttingDown();
+  const ready = ok && !shuttingDown;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    shuttingDown,
+    checks,
+    sockets: io.of('/').sockets.size,
+    rooms: chatRoomSizes(io).size,
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+};
@@ -0,0 +1,96 @@
+/**
+ * PRESENCE CONTROLLER
+ *
+ * Tells everyone whether a user is online, away or offline
+ *
+ * STATUSES (see stores/presence.store.js):
+ * - 'online':  Connected, and at least one tab/device is in use
+ * - 'away':    Connected, but the client said it's idle (e.g. tab hidden)
+ * - 'offline': Not connected anymore
+ *
+ * A user with three tabs is still ONE user: `presence_changed` is only
+ * sent when their overall status changes - not for every tab that
+ * opens or closes.
+ *
+ * Going offline waits for the reconnect grace period (see
+ * utils/reconnect.js), so a quick reconnect doesn't show
+ * "offline" + "online" to everyone.
+ */
+
+const { presenceStore } = require('../stores/presence.store');
+const { createEventHandler } = require('../utils/socketEvents');
+const { afterGracePeriod } = require('../utils/reconnect');
+
+/**
+ * Called for EACH connected client (next to the socket controller)
+ *
+ * @param {SocketIO.Server} io - The Socket.IO server instance
+ * @param {SocketIO.Socket} socket - Individual client connection
+ */
+
+module.exports = (io, socket) => {
+  const handle = createEventHandler(socket);
+
+  const user = { userId: socket.userId, username: socket.username };
+
+  // ==========================================================================
+  // HELPER: tell everyone if the user's overall status changed
+  // ==========================================================================
+
+  const announce = ({ previous, status }) => {
+    if (previous === status) return;
+
+    socket.log.debug('Presence changed', { status });
+
+    io.emit('presence_changed', {
+      username: socket.username,
+      status,
+      timestamp: Date.now()
+    });
+  };
+
+  // ==========================================================================
+  // CONNECTED: this socket counts as 'online'
+  // ==========================================================================
+
+  presenceStore.setConnectionStatus(user, socket.id, 'online')
+    .then(announce)
+    .catch(error => {
+      socket.log.error('Could not update presence', { error });
+    });
+
+  // ==========================================================================
+  // EVENT: set_presence
+  // Client says this tab is in use again ('online') or idle ('away')
+  // ==========================================================================
+
+  // status is one of PRESENCE_STATUSES (checked by the schema, see utils/schemas.js)
+  handle('set_presence', async ({ status }) => {
+    announce(await presenceStore.setConnectionStatus(user, socket.id, status));
+  });
+
+  // ==========================================================================
+  // EVENT: get_presence
+  // Client asks who is online/away right now (e.g. after connecting)
+  // ==========================================================================
+
+  handle('get_presence', async () => {
+    const users = await presenceStore.listUsers();
+
+    // Example: [{ username: 'alice', status: 'online' }, { username: 'bob', status: 'away' }]
+    socket.emit('presence_list', users.map(({ username, status }) => ({ username, status })));
+  });
+
+  // ==========================================================================
+  // EVENT: disconnect
+  // This connection is gone - after the grace period, stop counting it
+  // ==========================================================================
+
+  socket.on('disconnect', () => {
+    afterGracePeriod(
+      async () => announce(await presenceStore.removeConnection(socket.userId, socket.id)),
+      'updating presence',
+      socket.log
+    );
+  });
+};
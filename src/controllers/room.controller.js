@@ -0,0 +1,133 @@
+/**
+ * ROOM CONTROLLER
+ *
+ * REST endpoints for room data that is NOT real-time
+ *
+ * WHY REST AND NOT SOCKET.IO?
+ * - Scrolling back through old messages is a simple request → response
+ * - Bots and scripts can use it with plain HTTP (no socket needed)
+ * - Socket.IO is for things that happen live (new messages, typing...)
+ */
+
+const { messageStore } = require('../stores/message.store');
+const { roomStore } = require('../stores/room.store');
+const { isReservedName } = require('../utils/channels');
+const { checkHistoryAccess } = require('../utils/roomAccess');
+
+// Page size limits for message history
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// ============================================================================
+// GET MESSAGE HISTORY (PAGINATED)
+// ============================================================================
+
+/**
+ * PAGINATION FLOW:
+ *
+ * 1. Client asks: GET /api/rooms/general/messages?limit=50
+ * 2. We return the newest 50 messages + a nextCursor
+ * 3. Client asks: GET /api/rooms/general/messages?before=<nextCursor>&limit=50
+ * 4. We return the 50 messages before that one
+ * 5. Repeat until nextCursor is null (no older messages)
+ *
+ * WHY CURSORS INSTEAD OF PAGE NUMBERS?
+ * - New messages keep arriving at the end
+ * - With ?page=2, every new message shifts all pages by one
+ *   (you would see duplicates while scrolling)
+ * - A cursor (messageId) always points at the same spot
+ *
+ * WHO MAY READ IT?
+ * The same people who may join the room (see checkHistoryAccess in
+ * utils/roomAccess.js): not banned users, private rooms only when invited,
+ * password-protected rooms only for people who are in the room.
+ */
+
+const ACCESS_ERRORS = {
+  banned: 'You are banned from this room',
+  invite_only: 'This room is invite-only',
+  password_required: 'Join this room (with its password) to read its messages'
+};
+
+exports.getMessages = async (req, res) => {
+  const { roomName } = req.params;
+  const { before } = req.query;
+
+  // Private conversations ("dm:...") are not rooms - never expose them here
+  if (isReservedName(roomName)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Room not found'
+    });
+  }
+
+  // ========================================================================
+  // VALIDATE LIMIT
+  // ========================================================================
+
+  let limit = DEFAULT_PAGE_SIZE;
+
+  if (req.query.limit !== undefined) {
+    limit = Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+  }
+
+  // ========================================================================
+  // CHECK ACCESS
+  // ========================================================================
+
+  try {
+    const info = await roomStore.getRoomInfo(roomName);
+
+    if (!info) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Room not found'
+      });
+    }
+
+    const isMember = await roomStore.isMember(roomName, req.user.userId);
+    const reason = checkHistoryAccess(info, req.user.userId, isMember);
+
+    if (reason) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: ACCESS_ERRORS[reason],
+        code: reason
+      });
+    }
+
+    // ======================================================================
+    // LOAD PAGE
+    // ======================================================================
+
+    const page = await messageStore.getPage(roomName, { before, limit });
+
+    if (!page) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor: message not found in this room'
+      });
+    }
+
+    res.json({
+      roomName,
+      messages: page.messages, // Oldest first
+      nextCursor: page.nextCursor
+    });
+
+  } catch (error) {
+    req.log.error('Could not load messages', { roomName, error });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Could not load messages'
+    });
+  }
+};
@@ -0,0 +1,174 @@
+/**
+ * SESSION CONTROLLER
+ *
+ * Keeps long-lived socket connections in sync with token expiry
+ *
+ * THE PROBLEM:
+ * - authenticateSocket checks the JWT only ONCE, when the socket connects
+ * - A socket can stay open for hours
+ * - Without this controller, a socket opened just before its token expired
+ *   could keep sending messages forever
+ *
+ * THE SOLUTION:
+ * 1. Remember when the socket's token expires (socket.tokenExp)
+ * 2. Shortly before that, emit `token_expiring` so the client can refresh
+ * 3. Client sends `reauthenticate` with a fresh token → timers restart
+ * 4. If the token actually expires, emit `token_expired` and disconnect
+ */
+
+const { verifyAccessToken } = require('../middleware/auth.middleware');
+const { sessionChannel } = require('../utils/channels');
+const { createEventHandler } = require('../utils/socketEvents');
+const { authFailuresTotal } = require('../utils/metrics');
+
+// Warn the client this many seconds before its token expires
+const EXPIRY_WARNING_SECONDS = parseInt(process.env.TOKEN_EXPIRY_WARNING, 10) || 60;
+
+// setTimeout can't wait longer than ~24.8 days (2^31 - 1 ms)
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Run `callback` at the time `at` (a timestamp in milliseconds)
+ *
+ * A longer delay than MAX_TIMEOUT would make setTimeout fire right away
+ * (and disconnect a token that is still valid for months). So for a
+ * time further away, wait MAX_TIMEOUT and check again from there.
+ *
+ * Returns { clear } to cancel it.
+ */
+function runAt(at, callback) {
+  let timer;
+
+  const wait = () => {
+    const delay = at - Date.now();
+
+    timer = delay > MAX_TIMEOUT
+      ? setTimeout(wait, MAX_TIMEOUT)
+      : setTimeout(callback, Math.max(delay, 0));
+  };
+
+  wait();
+
+  return { clear: () => clearTimeout(timer) };
+}
+
+/**
+ * Called for EACH connected client (next to the socket controller)
+ *
+ * @param {SocketIO.Server} io - The Socket.IO server instance
+ * @param {SocketIO.Socket} socket - Individual client connection
+ */
+
+module.exports = (io, socket) => {
+  const handle = createEventHandler(socket);
+
+  let warningTimer = null;
+  let expiryTimer = null;
+
+  // ==========================================================================
+  // HELPER: (re)start the expiry timers
+  // ==========================================================================
+
+  function clearTimers() {
+    if (warningTimer) warningTimer.clear();
+    if (expiryTimer) expiryTimer.clear();
+  }
+
+  function scheduleExpiry() {
+    clearTimers();
+
+    const expiresAt = socket.tokenExp * 1000;
+
+    // -------------------------------------------------------------------------
+    // WARNING: "Your token is about to expire, please send a new one"
+    // -------------------------------------------------------------------------
+
+    warningTimer = runAt(expiresAt - EXPIRY_WARNING_SECONDS * 1000, () => {
+      socket.emit('token_expiring', {
+        expiresAt,
+        expiresIn: Math.max(0, Math.round((expiresAt - Date.now()) / 1000))
+      });
+    });
+
+    // -------------------------------------------------------------------------
+    // EXPIRED: Nothing was renewed in time → disconnect
+    // -------------------------------------------------------------------------
+
+    expiryTimer = runAt(expiresAt, () => {
+      socket.log.info('Token expired, disconnecting');
+
+      socket.emit('token_expired', {
+        message: 'Your session token expired. Please reconnect with a new token.'
+      });
+      socket.disconnect(true);
+    });
+  }
+
+  scheduleExpiry();
+
+  // Logging out this session disconnects this socket - on any server
+  // process (see STEP 9.1 in index.js)
+  socket.join(sessionChannel(socket.sessionId));
+
+  // ==========================================================================
+  // EVENT: reauthenticate
+  // Client sends a fresh token (e.g. after POST /api/auth/refresh)
+  // ==========================================================================
+
+  handle('reauthenticate', async ({ token }) => {
+    /**
+     * FLOW:
+     * 1. Verify the new token (signature, expiry, not revoked)
+     * 2. Make sure it belongs to the SAME user
+     *    (a socket can't switch to a different account)
+     * 3. Update socket's token info (and session room), restart the timers
+     */
+
+    try {
+      const decoded = await verifyAccessToken(token);
+
+      if (decoded.userId !== socket.userId) {
+        socket.emit('error', {
+          message: 'Token belongs to a different user',
+          code: 'REAUTH_FAILED'
+        });
+        return;
+      }
+
+      // A token from another login of the same user moves the socket
+      // to that session (logging out the old one no longer affects it)
+      if (decoded.sid !== socket.sessionId) {
+        socket.leave(sessionChannel(socket.sessionId));
+        socket.join(sessionChannel(decoded.sid));
+      }
+
+      socket.sessionId = decoded.sid;
+      socket.tokenExp = decoded.exp;
+      scheduleExpiry();
+
+      socket.log.info('Socket re-authenticated', { sessionId: socket.sessionId });
+
+      socket.emit('reauthenticated', {
+        expiresAt: socket.tokenExp * 1000
+      });
+
+    } catch (error) {
+      socket.log.warn('Re-authentication failed', { reason: error.name, error: error.message });
+      authFailuresTotal.inc({ transport: 'socket', reason: error.name });
+
+      socket.emit('error', {
+        message: 'Re-authentication failed: ' + error.message,
+        code: 'REAUTH_FAILED'
+      });
+    }
+  });
+
+  // ==========================================================================
+  // EVENT: disconnect
+  // Stop the timers (the socket is gone)
+  // ==========================================================================
+
+  socket.on('disconnect', () => {
+    clearTimers();
+  });
+};
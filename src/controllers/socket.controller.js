@@ -15,28 +15,114 @@
  * - Perfect for: Chat, notifications, live updates
  */
 
+const bcrypt = require('bcryptjs');
+const { messageStore } = require('../stores/message.store');
+const { roomStore } = require('../stores/room.store');
+const { readReceiptStore } = require('../stores/readReceipt.store');
+const { userStore } = require('../stores/user.store');
+const { createEventHandler } = require('../utils/socketEvents');
+const { userChannel, isReservedName } = require('../utils/channels');
+const { generateMessageId } = require('../utils/ids');
+const { afterGracePeriod } = require('../utils/reconnect');
+const { countMessage } = require('../utils/metrics');
+const {
+  isOwner,
+  isModerator,
+  getActiveBan,
+  getActiveMute,
+  canModerate,
+  canSeeRoom,
+  checkJoinAccess,
+  publicRoomInfo
+} = require('../utils/roomAccess');
+
 // ============================================================================
-// IN-MEMORY ROOM STORAGE
+// ROOM STORAGE
 // ============================================================================
 
 /**
- * ROOMS DATA STRUCTURE
- *
- * Map<roomName, Set<username>>
+ * Which rooms exist and who is in them lives in the room store
+ * (see stores/room.store.js):
+ * - In memory by default
+ * - In Redis when REDIS_ENABLED=true, so every server process
+ *   sees the same rooms and members
  *
- * Example:
- * rooms = Map {
- *   'general' => Set { 'alice', 'bob', 'charlie' },
- *   'random' => Set { 'alice', 'david' }
- * }
- *
- * Set is used because:
- * - Automatically prevents duplicates
- * - Fast add/remove operations
- * - Easy to check if user is in room
+ * All room store methods are async, so our event handlers are too.
+ */
+
+// ============================================================================
+// MESSAGE HISTORY
+// ============================================================================
+
+/**
+ * Every message is saved in the message store (see stores/message.store.js)
+ * When someone joins a room, we send them the last few messages
+ * so they can see what the conversation is about.
+ */
+
+// How many old messages to send when a user joins a room
+const HISTORY_REPLAY_LIMIT = parseInt(process.env.MESSAGE_HISTORY_LIMIT, 10) || 50;
+
+// ============================================================================
+// RECONNECT
+// ============================================================================
+
+/**
+ * After losing the connection, a user stays in their rooms for
+ * RECONNECT_GRACE_PERIOD seconds (see utils/reconnect.js).
+ * If they reconnect in time, they are put back silently (see RECONNECT below)
  */
 
-const rooms = new Map();
+// At most this many rooms are restored per reconnect
+const MAX_RESUME_ROOMS = 50;
+
+// ============================================================================
+// ROOM ACCESS
+// ============================================================================
+
+/**
+ * Every room has an owner (its creator) and can have moderators.
+ * Rooms can be private (invite-only) and/or password-protected.
+ * The rules live in utils/roomAccess.js
+ */
+
+// Shown to the user when join_room is refused (see checkJoinAccess)
+const ACCESS_DENIED_MESSAGES = {
+  banned: 'You are banned from this room',
+  invite_only: 'This room is invite-only',
+  password_required: 'This room requires a password',
+  wrong_password: 'Wrong room password'
+};
+
+// System notices shown in the room after a moderation action
+const MODERATION_NOTICES = {
+  kick: (username, by) => `${username} was kicked by ${by}`,
+  ban: (username, by) => `${username} was banned by ${by}`,
+  unban: (username, by) => `${username} was unbanned by ${by}`,
+  mute: (username, by) => `${username} was muted by ${by}`,
+  unmute: (username, by) => `${username} was unmuted by ${by}`
+};
+
+// How many old versions of an edited message we keep
+const MAX_EDIT_HISTORY = 20;
+
+// Most different emojis on one message
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// ============================================================================
+// PAYLOAD VALIDATION
+// ============================================================================
+
+/**
+ * Every event's data is checked against its schema (see utils/schemas.js)
+ * by handle() BEFORE the handlers below run. So in a handler:
+ * - Required fields are there, with the right type and length
+ * - Strings like roomName and text are already trimmed
+ * - Optional fields are missing, or valid
+ *
+ * What's left to check here is what a schema can't know:
+ * does the room exist, is the user allowed to do this, ...
+ */
 
 // ============================================================================
 // MAIN SOCKET HANDLER
@@ -58,25 +144,126 @@ module.exports = (io, socket) => {
    * - socket.id is unique ID for this connection
    */
 
-  console.log(`🔌 Socket handler initialized for: ${socket.username}`);
+  /**
+   * socket.log is a logger that adds this socket's ID and user to every
+   * line (set by authenticateSocket, see utils/logger.js):
+   *
+   * socket.log.info('Joined room', { roomName });
+   * → {"level":"info","msg":"Joined room","socketId":"...","userId":"...","username":"alice","roomName":"general"}
+   */
+
+  socket.log.debug('Socket handler initialized');
+
+  // Like socket.on(), but errors in async handlers are caught and reported
+  // (see utils/socketEvents.js)
+  const handle = createEventHandler(socket);
+
+  // Every socket of this user joins a private room, so direct messages
+  // reach all of their tabs/devices (see utils/channels.js)
+  socket.join(userChannel(socket.userId));
+
+  // ==========================================================================
+  // HELPERS: room membership of THIS socket
+  // ==========================================================================
+
+  /**
+   * A socket can be in MANY rooms at once (like Slack channels)
+   *
+   * socket.rooms is a Set containing:
+   * - socket.id (always present - every socket has its own private room)
+   * - user:<userId> (this user's private room, for direct messages)
+   * - Every chat room the socket has joined
+   */
+
+  const isChatRoom = (room) => room !== socket.id && !isReservedName(room);
+
+  const isInRoom = (roomName) => isChatRoom(roomName) && socket.rooms.has(roomName);
+
+  const joinedRooms = () => Array.from(socket.rooms).filter(isChatRoom);
+
+  // This socket's user, as the room store tracks members
+  const currentUser = { userId: socket.userId, username: socket.username };
+
+  /**
+   * Remove a connection of a user from a room, and if it was their
+   * LAST one: tell the others, delete the room if empty
+   * (shared by leave_room, disconnect and kick/ban)
+   *
+   * Closing one of two tabs isn't "leaving" - the user is still there.
+   * Kick/ban pass { everyConnection: true } to remove them completely.
+   *
+   * Only someone really leaving (leave_room, kick/ban) deletes an empty
+   * room. Disconnect cleanups pass { deleteIfEmpty: false }: they also run
+   * when the server shuts down, and a restart must not wipe every room
+   * and its history just because everyone was disconnected.
+   *
+   * The user's sockets must have left the Socket.IO room already,
+   * so everyone still in it is one of "the others"
+   */
+  const removeFromRoom = async (roomName, user = currentUser, { everyConnection = false, deleteIfEmpty = true } = {}) => {
+    const result = await roomStore.removeMember(roomName, user.userId, { everyConnection });
+
+    if (result === null) return;
+
+    const { connections, userCount } = result;
+    const { username } = user;
+
+    if (connections > 0) {
+      socket.log.debug('Closed a connection to room', { roomName, memberId: user.userId, connections });
+      return;
+    }
+
+    socket.log.info('Left room', { roomName, memberId: user.userId, userCount });
+
+    // Notify others
+    io.to(roomName).emit('user_left', {
+      username,
+      roomName,
+      userCount,
+      timestamp: Date.now()
+    });
+
+    // Delete empty rooms
+    if (deleteIfEmpty && userCount === 0 && await roomStore.deleteRoomIfEmpty(roomName)) {
+      // Its history goes too: otherwise whoever creates a room with this
+      // name next would own it - and read the old (maybe private) messages
+      await messageStore.deleteRoom(roomName);
+      await readReceiptStore.deleteRoom(roomName);
+
+      socket.log.info('Deleted empty room', { roomName });
+
+      // Notify all clients
+      io.emit('room_deleted', {
+        roomName,
+        reason: 'empty'
+      });
+    }
+  };
 
   // ==========================================================================
   // EVENT: get_rooms
   // Client asks for list of all available rooms
   // ==========================================================================
 
-  socket.on('get_rooms', () => {
-    /**
-     * Convert Map keys to Array
-     * Example: Map { 'general' => Set, 'random' => Set }
-     *       => ['general', 'random']
-     */
+  handle('get_rooms', async () => {
+    // Example: [{ roomName: 'general', unreadCount: 3 }, { roomName: 'random', unreadCount: 0 }]
+    const allRooms = await roomStore.listRooms();
 
-    const roomList = Array.from(rooms.keys());
+    // Hide private rooms this user wasn't invited to
+    const roomList = [];
+
+    for (const roomName of allRooms) {
+      if (canSeeRoom(await roomStore.getRoomInfo(roomName), socket.userId)) {
+        roomList.push({
+          roomName,
+          unreadCount: await countUnread(roomName)
+        });
+      }
+    }
 
     socket.emit('rooms_list', roomList);
 
-    console.log(`📋 Sent room list to ${socket.username}: ${roomList.length} rooms`);
+    socket.log.debug('Sent room list', { rooms: roomList.length });
   });
 
   // ==========================================================================
@@ -84,55 +271,66 @@ module.exports = (io, socket) => {
   // Client wants to create a new chat room
   // ==========================================================================
 
-  socket.on('create_room', (data) => {
+  handle('create_room', async (data) => {
     /**
      * FLOW:
-     * 1. Validate room name
+     * 1. Check the room name isn't reserved (the rest is checked by the schema)
      * 2. Check if room already exists
-     * 3. Create empty room
-     * 4. Notify ALL clients about new room
+     * 3. Create empty room (creator becomes the owner)
+     * 4. Notify clients about new room (private rooms: only the creator)
+     *
+     * Example:
+     * socket.emit('create_room', {
+     *   roomName: 'secret',
+     *   visibility: 'private', // optional, default 'public'
+     *   password: 'hunter2'    // optional
+     * });
      */
 
-    const { roomName } = data;
+    // Already trimmed, visibility defaults to 'public' (see utils/schemas.js)
+    const { roomName, visibility, password } = data;
 
-    console.log(`🏗️  Room creation request: "${roomName}" by ${socket.username}`);
+    socket.log.debug('Room creation request', { roomName });
 
     // -------------------------------------------------------------------------
     // VALIDATION
     // -------------------------------------------------------------------------
 
-    if (!roomName || typeof roomName !== 'string') {
+    // Names like "user:..." and "dm:..." are used internally
+    if (isReservedName(roomName)) {
       socket.emit('error', {
-        message: 'Invalid room name',
+        message: 'This room name is not allowed',
         code: 'INVALID_ROOM_NAME'
       });
       return;
     }
 
-    // Trim whitespace
-    const trimmedName = roomName.trim();
+    // -------------------------------------------------------------------------
+    // CREATE ROOM (IF IT DOESN'T EXIST)
+    // -------------------------------------------------------------------------
 
-    if (trimmedName.length === 0) {
-      socket.emit('error', {
-        message: 'Room name cannot be empty',
-        code: 'EMPTY_ROOM_NAME'
-      });
-      return;
-    }
+    /**
+     * Creates an empty room (no members yet - creator hasn't joined)
+     *
+     * "Check and create" is ONE step, so two users creating the
+     * same room at the same moment can't both succeed
+     */
 
-    if (trimmedName.length > 50) {
-      socket.emit('error', {
-        message: 'Room name too long (max 50 characters)',
-        code: 'ROOM_NAME_TOO_LONG'
-      });
-      return;
-    }
+    const info = {
+      owner: { userId: socket.userId, username: socket.username },
+      moderators: [],
+      visibility,
+      // Never store the password itself - same as user passwords
+      passwordHash: password ? await bcrypt.hash(password, 10) : null,
+      invited: [],
+      bans: [],
+      mutes: [],
+      createdAt: Date.now()
+    };
 
-    // -------------------------------------------------------------------------
-    // CHECK IF ROOM EXISTS
-    // -------------------------------------------------------------------------
+    const created = await roomStore.createRoom(roomName, info);
 
-    if (rooms.has(trimmedName)) {
+    if (!created) {
       socket.emit('error', {
         message: 'Room already exists',
         code: 'ROOM_EXISTS'
@@ -140,18 +338,12 @@ module.exports = (io, socket) => {
       return;
     }
 
-    // -------------------------------------------------------------------------
-    // CREATE ROOM
-    // -------------------------------------------------------------------------
-
-    /**
-     * Create empty Set for storing usernames
-     * Initially empty because creator hasn't joined yet
-     */
-
-    rooms.set(trimmedName, new Set());
+    // History left over from an earlier room with this name (e.g. its
+    // info was kept in memory and lost in a restart) belongs to someone else
+    await messageStore.deleteRoom(roomName);
+    await readReceiptStore.deleteRoom(roomName);
 
-    console.log(`✅ Room created: "${trimmedName}"`);
+    socket.log.info('Room created', { roomName, visibility, hasPassword: Boolean(info.passwordHash) });
 
     // -------------------------------------------------------------------------
     // BROADCAST TO ALL CLIENTS
@@ -161,17 +353,28 @@ module.exports = (io, socket) => {
      * io.emit() = Send to ALL connected clients
      * socket.emit() = Send to THIS client only
      * socket.broadcast.emit() = Send to everyone EXCEPT this client
+     *
+     * Private rooms are only announced to the creator's own sockets
+     * (invited users hear about it through room_invitation)
      */
 
-    io.emit('room_created', {
-      roomName: trimmedName,
+    const announcement = {
+      roomName: roomName,
       createdBy: socket.username,
+      visibility,
+      hasPassword: Boolean(info.passwordHash),
       timestamp: Date.now()
-    });
+    };
+
+    if (visibility === 'private') {
+      io.to(userChannel(socket.userId)).emit('room_created', announcement);
+    } else {
+      io.emit('room_created', announcement);
+    }
 
     // Also send success confirmation to creator
     socket.emit('room_create_success', {
-      roomName: trimmedName
+      roomName: roomName
     });
   });
 
@@ -180,81 +383,134 @@ module.exports = (io, socket) => {
   // Client wants to join a specific room
   // ==========================================================================
 
-  socket.on('join_room', (data) => {
+  handle('join_room', async (data) => {
     /**
      * FLOW:
-     * 1. Validate room name
-     * 2. Leave current room (if any)
-     * 3. Join new room
+     * 1. Check the room name isn't reserved
+     * 2. Check the room exists and the user may join it
+     * 3. Join room (other rooms stay joined)
      * 4. Update room tracking
      * 5. Notify others in room
-     * 6. Send room info to user
+     * 6. Send room info + recent messages to user
+     *
+     * Password-protected rooms:
+     * socket.emit('join_room', { roomName: 'secret', password: 'hunter2' });
      */
 
-    const { roomName } = data;
+    const { roomName, password } = data;
 
-    console.log(`🚪 Join request: ${socket.username} → "${roomName}"`);
+    socket.log.debug('Join request', { roomName });
 
     // -------------------------------------------------------------------------
     // VALIDATION
     // -------------------------------------------------------------------------
 
-    if (!roomName) {
+    // Names like "user:..." and "dm:..." are used internally
+    // (joining "user:123" would let you read someone's direct messages!)
+    if (isReservedName(roomName)) {
       socket.emit('error', {
-        message: 'Room name is required',
-        code: 'MISSING_ROOM_NAME'
+        message: 'This room name is not allowed',
+        code: 'INVALID_ROOM_NAME'
       });
       return;
     }
 
     // -------------------------------------------------------------------------
-    // LEAVE PREVIOUS ROOMS
+    // ALREADY IN THIS ROOM?
+    // -------------------------------------------------------------------------
+
+    /**
+     * Joining a room you're already in is harmless:
+     * just send the room info again (no "user joined" for the others)
+     */
+
+    const alreadyJoined = isInRoom(roomName);
+
+    // -------------------------------------------------------------------------
+    // ACCESS CHECK
     // -------------------------------------------------------------------------
 
     /**
-     * User can only be in ONE room at a time
-     * socket.rooms is a Set containing:
-     * - socket.id (always present)
-     * - Any rooms the socket has joined
+     * Rooms are created with create_room, joining doesn't create them
+     * (otherwise anyone could "claim" a name without being its owner)
+     *
+     * Every "not allowed" case uses the same code, ROOM_ACCESS_DENIED,
+     * and `reason` tells the client what to do:
+     * - invite_only:       Ask a moderator for an invitation
+     * - password_required: Ask the user for the password
+     * - wrong_password:    Ask again
      */
 
-    Array.from(socket.rooms).forEach(room => {
-      if (room !== socket.id) { // Don't leave the socket's own room
-        socket.leave(room);
+    const info = await roomStore.getRoomInfo(roomName);
+
+    if (!info) {
+      socket.emit('error', {
+        message: 'Room not found',
+        code: 'ROOM_NOT_FOUND',
+        roomName
+      });
+      return;
+    }
+
+    if (!alreadyJoined) {
+      const deniedReason = await checkJoinAccess(info, socket.userId, password);
 
-        // Update our tracking
-        if (rooms.has(room)) {
-          rooms.get(room).delete(socket.username);
+      if (deniedReason) {
+        socket.log.info('Room access denied', { roomName, reason: deniedReason });
 
-          console.log(`👋 ${socket.username} left "${room}"`);
-        }
+        socket.emit('error', {
+          message: ACCESS_DENIED_MESSAGES[deniedReason],
+          code: 'ROOM_ACCESS_DENIED',
+          reason: deniedReason,
+          roomName,
+          // When does the ban end? (null = never)
+          ...(deniedReason === 'banned' && { bannedUntil: getActiveBan(info, socket.userId).until })
+        });
+        return;
       }
-    });
+    }
 
     // -------------------------------------------------------------------------
-    // JOIN NEW ROOM
+    // JOIN ROOM
     // -------------------------------------------------------------------------
 
     /**
      * Socket.IO Rooms:
      * - Like channels or groups
      * - Can broadcast to all users in a room
-     * - User can be in multiple rooms (but we limit to one for simplicity)
+     * - A socket can be in many rooms at the same time
      */
 
-    socket.join(roomName);
-    socket.currentRoom = roomName; // Store for easy access
+    let userCount;
+    let firstConnection = false;
 
-    // Update our tracking
-    if (!rooms.has(roomName)) {
-      // Auto-create room if it doesn't exist
-      rooms.set(roomName, new Set());
-    }
-    rooms.get(roomName).add(socket.username);
+    if (alreadyJoined) {
+      userCount = (await roomStore.getMembers(roomName)).length;
+    } else {
+      socket.join(roomName);
 
-    const userCount = rooms.get(roomName).size;
+      // Update our tracking (one more connection of this user)
+      const result = await roomStore.addMember(roomName, currentUser);
 
-    console.log(`✅ ${socket.username} joined "${roomName}" (${userCount} users)`);
+      // Deleted since we read its info (the last member just left)
+      if (!result) {
+        socket.leave(roomName);
+        socket.emit('error', {
+          message: 'Room not found',
+          code: 'ROOM_NOT_FOUND',
+          roomName
+        });
+        return;
+      }
+
+      userCount = result.userCount;
+      firstConnection = result.connections === 1;
+
+      socket.log[firstConnection ? 'info' : 'debug'](
+        firstConnection ? 'Joined room' : 'Opened another connection to room',
+        { roomName, userCount, connections: result.connections }
+      );
+    }
 
     // -------------------------------------------------------------------------
     // NOTIFY OTHERS IN ROOM
@@ -262,14 +518,19 @@ module.exports = (io, socket) => {
 
     /**
      * socket.to(roomName) = Send to everyone in room EXCEPT sender
+     *
+     * Only for the user's FIRST connection - a second tab joining
+     * the room isn't news (the user was already there)
      */
 
-    socket.to(roomName).emit('user_joined', {
-      username: socket.username,
-      roomName,
-      userCount,
-      timestamp: Date.now()
-    });
+    if (firstConnection) {
+      socket.to(roomName).emit('user_joined', {
+        username: socket.username,
+        roomName,
+        userCount,
+        timestamp: Date.now()
+      });
+    }
 
     // -------------------------------------------------------------------------
     // SEND ROOM INFO TO USER
@@ -277,61 +538,44 @@ module.exports = (io, socket) => {
 
     socket.emit('joined_room', {
       roomName,
-      users: Array.from(rooms.get(roomName)), // Convert Set to Array
+      users: await roomStore.getMembers(roomName),
       userCount,
+      ...publicRoomInfo(info), // owner, moderators, visibility, hasPassword
+      readReceipts: (await readReceiptStore.getRoomReceipts(roomName)).map(publicReceipt),
       message: `Welcome to ${roomName}!`
     });
+
+    // -------------------------------------------------------------------------
+    // SEND RECENT MESSAGES
+    // -------------------------------------------------------------------------
+
+    /**
+     * Sent AFTER joined_room, so the client has already cleared
+     * the screen and can simply append these (oldest first)
+     */
+
+    socket.emit('message_history', await messageStore.getRecent(roomName, HISTORY_REPLAY_LIMIT));
   });
 
   // ==========================================================================
   // EVENT: leave_room
-  // Client wants to leave current room
+  // Client wants to leave one of their rooms
   // ==========================================================================
 
-  socket.on('leave_room', () => {
-    if (!socket.currentRoom) {
+  handle('leave_room', async ({ roomName }) => {
+    if (!isInRoom(roomName)) {
       socket.emit('error', {
-        message: 'You are not in any room',
+        message: 'You are not in this room',
         code: 'NOT_IN_ROOM'
       });
       return;
     }
 
-    const roomName = socket.currentRoom;
-
     // Remove from Socket.IO room
     socket.leave(roomName);
 
-    // Update tracking
-    if (rooms.has(roomName)) {
-      rooms.get(roomName).delete(socket.username);
-
-      const userCount = rooms.get(roomName).size;
-
-      console.log(`👋 ${socket.username} left "${roomName}" (${userCount} remaining)`);
-
-      // Notify others
-      socket.to(roomName).emit('user_left', {
-        username: socket.username,
-        roomName,
-        userCount,
-        timestamp: Date.now()
-      });
-
-      // Delete empty rooms
-      if (userCount === 0) {
-        rooms.delete(roomName);
-        console.log(`🗑️  Deleted empty room: "${roomName}"`);
-
-        // Notify all clients
-        io.emit('room_deleted', {
-          roomName,
-          reason: 'empty'
-        });
-      }
-    }
-
-    socket.currentRoom = null;
+    // Update tracking, notify others, delete if empty
+    await removeFromRoom(roomName);
 
     socket.emit('left_room', {
       roomName,
@@ -340,174 +584,1109 @@ module.exports = (io, socket) => {
   });
 
   // ==========================================================================
-  // EVENT: send_message
-  // Client sends a message to their current room
+  // EVENT: invite_user
+  // Owner/moderator lets someone into a private or password-protected room
   // ==========================================================================
 
-  socket.on('send_message', (data) => {
+  handle('invite_user', async (data) => {
     /**
-     * FLOW:
-     * 1. Check if user is in a room
-     * 2. Validate message
-     * 3. Create message object
-     * 4. Broadcast to everyone in room (including sender)
+     * Invited users can join without the password and can see
+     * the room in their room list even if it's private
+     *
+     * socket.emit('invite_user', { roomName: 'secret', username: 'bob' });
      */
 
-    // -------------------------------------------------------------------------
-    // CHECK IF IN ROOM
-    // -------------------------------------------------------------------------
+    const { roomName } = data;
 
-    if (!socket.currentRoom) {
-      socket.emit('error', {
-        message: 'You must join a room first',
-        code: 'NOT_IN_ROOM'
-      });
-      return;
-    }
+    const info = await loadRoomForModerator(roomName);
+    if (!info) return;
 
-    // -------------------------------------------------------------------------
-    // VALIDATION
-    // -------------------------------------------------------------------------
+    const invitee = await findTargetUser(data.username);
+    if (!invitee) return;
 
-    if (!data.text || typeof data.text !== 'string') {
-      socket.emit('error', {
-        message: 'Invalid message',
-        code: 'INVALID_MESSAGE'
-      });
-      return;
+    if (!info.invited.includes(invitee.userId)) {
+      info.invited.push(invitee.userId);
+      await roomStore.setRoomInfo(roomName, info);
     }
 
-    const text = data.text.trim();
+    socket.log.info('Invited user to room', { roomName, inviteeId: invitee.userId });
 
-    if (text.length === 0) {
-      socket.emit('error', {
-        message: 'Message cannot be empty',
-        code: 'EMPTY_MESSAGE'
-      });
-      return;
-    }
+    // Tell every tab/device of the invited user
+    io.to(userChannel(invitee.userId)).emit('room_invitation', {
+      roomName,
+      invitedBy: socket.username,
+      ...publicRoomInfo(info),
+      timestamp: Date.now()
+    });
 
-    if (text.length > 1000) {
-      socket.emit('error', {
-        message: 'Message too long (max 1000 characters)',
-        code: 'MESSAGE_TOO_LONG'
-      });
-      return;
-    }
+    socket.emit('user_invited', {
+      roomName,
+      username: invitee.username
+    });
+  });
 
-    // -------------------------------------------------------------------------
-    // CREATE MESSAGE OBJECT
-    // -------------------------------------------------------------------------
+  // ==========================================================================
+  // EVENT: add_moderator / remove_moderator
+  // Only the owner can change who moderates the room
+  // ==========================================================================
 
-    const message = {
-      messageId: generateMessageId(),
-      text: text,
-      sender: socket.username,
-      senderId: socket.userId,
-      roomName: socket.currentRoom,
-      timestamp: Date.now()
-    };
+  handle('add_moderator', async (data) => {
+    const { roomName } = data;
 
-    console.log(`💬 [${message.roomName}] ${message.sender}: ${message.text}`);
+    const info = await loadRoomForOwner(roomName);
+    if (!info) return;
 
-    // -------------------------------------------------------------------------
-    // BROADCAST TO ROOM
-    // -------------------------------------------------------------------------
+    const user = await findTargetUser(data.username);
+    if (!user) return;
 
-    /**
-     * io.to(roomName).emit() = Send to everyone in room (including sender)
-     *
-     * Why include sender?
-     * - Confirmation that message was sent
-     * - All clients show the same message (consistency)
-     */
+    if (!isModerator(info, user.userId)) {
+      info.moderators.push({ userId: user.userId, username: user.username });
+      await roomStore.setRoomInfo(roomName, info);
+
+      socket.log.info('Added moderator', { roomName, moderatorId: user.userId });
+    }
 
-    io.to(socket.currentRoom).emit('new_message', message);
+    announceRoomUpdate(roomName, info);
   });
 
-  // ==========================================================================
-  // EVENT: typing
-  // Client is typing (for "User is typing..." indicator)
-  // ==========================================================================
+  handle('remove_moderator', async (data) => {
+    const { roomName } = data;
 
-  socket.on('typing', () => {
-    if (socket.currentRoom) {
-      // Send to everyone in room EXCEPT sender
-      socket.to(socket.currentRoom).emit('user_typing', {
-        username: socket.username,
-        roomName: socket.currentRoom
-      });
-    }
+    const info = await loadRoomForOwner(roomName);
+    if (!info) return;
+
+    const user = await findTargetUser(data.username);
+    if (!user) return;
+
+    info.moderators = info.moderators.filter(moderator => moderator.userId !== user.userId);
+    await roomStore.setRoomInfo(roomName, info);
+
+    socket.log.info('Removed moderator', { roomName, moderatorId: user.userId });
+
+    announceRoomUpdate(roomName, info);
   });
 
   // ==========================================================================
-  // EVENT: stop_typing
-  // Client stopped typing
+  // EVENT: kick_user
+  // Moderator removes a user from the room (they can join again)
   // ==========================================================================
 
-  socket.on('stop_typing', () => {
-    if (socket.currentRoom) {
-      socket.to(socket.currentRoom).emit('user_stop_typing', {
-        username: socket.username,
-        roomName: socket.currentRoom
-      });
-    }
+  handle('kick_user', async (data) => {
+    /**
+     * socket.emit('kick_user', { roomName: 'general', username: 'troll', reason: 'spam' });
+     */
+
+    const target = await loadModerationTarget(data);
+    if (!target) return;
+
+    const { roomName } = data;
+
+    await ejectUser(roomName, target.user);
+
+    announceModeration(roomName, 'kick', target.user, { reason: target.reason });
   });
 
   // ==========================================================================
-  // EVENT: disconnect
-  // Client disconnects (closes tab, loses internet, etc.)
+  // EVENT: ban_user / unban_user
+  // Moderator removes a user AND stops them from joining again
   // ==========================================================================
 
-  socket.on('disconnect', (reason) => {
+  handle('ban_user', async (data) => {
     /**
-     * CLEANUP:
-     * - Remove from current room
-     * - Notify others
-     * - Delete empty rooms
+     * socket.emit('ban_user', {
+     *   roomName: 'general',
+     *   username: 'troll',
+     *   duration: 3600, // optional, in seconds (no duration = forever)
+     *   reason: 'spam'  // optional
+     * });
      */
 
-    console.log(`🔴 ${socket.username} disconnected (${reason})`);
+    const target = await loadModerationTarget(data);
+    if (!target) return;
 
-    if (socket.currentRoom && rooms.has(socket.currentRoom)) {
-      const roomName = socket.currentRoom;
+    const { roomName } = data;
+    const { info, user, until } = target;
 
-      rooms.get(roomName).delete(socket.username);
-      const userCount = rooms.get(roomName).size;
+    // Replace any older ban of this user (and drop expired ones)
+    info.bans = withoutEntry(info.bans, user.userId);
+    info.bans.push({ userId: user.userId, username: user.username, until, by: socket.username });
 
-      // Notify others
-      socket.to(roomName).emit('user_left', {
-        username: socket.username,
-        roomName,
-        userCount,
-        timestamp: Date.now()
-      });
+    // A ban beats an invitation, and banned users stop being moderators
+    const wasModerator = isModerator(info, user.userId);
+    info.invited = info.invited.filter(userId => userId !== user.userId);
+    info.moderators = info.moderators.filter(moderator => moderator.userId !== user.userId);
 
-      // Delete empty rooms
-      if (userCount === 0) {
-        rooms.delete(roomName);
-        console.log(`🗑️  Deleted empty room: "${roomName}"`);
+    await roomStore.setRoomInfo(roomName, info);
 
-        io.emit('room_deleted', {
+    await ejectUser(roomName, user);
+
+    announceModeration(roomName, 'ban', user, { until, reason: target.reason });
+
+    if (wasModerator) {
+      announceRoomUpdate(roomName, info);
+    }
+  });
+
+  handle('unban_user', async (data) => {
+    const target = await loadModerationTarget(data);
+    if (!target) return;
+
+    const { roomName } = data;
+    const { info, user } = target;
+
+    info.bans = withoutEntry(info.bans, user.userId);
+    await roomStore.setRoomInfo(roomName, info);
+
+    announceModeration(roomName, 'unban', user);
+  });
+
+  // ==========================================================================
+  // EVENT: mute_user / unmute_user
+  // Moderator stops a user from sending messages (they can still read)
+  // ==========================================================================
+
+  handle('mute_user', async (data) => {
+    /**
+     * Same data as ban_user: { roomName, username, duration?, reason? }
+     */
+
+    const target = await loadModerationTarget(data);
+    if (!target) return;
+
+    const { roomName } = data;
+    const { info, user, until } = target;
+
+    info.mutes = withoutEntry(info.mutes, user.userId);
+    info.mutes.push({ userId: user.userId, username: user.username, until, by: socket.username });
+
+    await roomStore.setRoomInfo(roomName, info);
+
+    announceModeration(roomName, 'mute', user, { until, reason: target.reason });
+  });
+
+  handle('unmute_user', async (data) => {
+    const target = await loadModerationTarget(data);
+    if (!target) return;
+
+    const { roomName } = data;
+    const { info, user } = target;
+
+    info.mutes = withoutEntry(info.mutes, user.userId);
+    await roomStore.setRoomInfo(roomName, info);
+
+    announceModeration(roomName, 'unmute', user);
+  });
+
+  // ==========================================================================
+  // HELPERS: permission checks for the events above
+  // ==========================================================================
+
+  /**
+   * Each helper sends the error to the client itself and returns null,
+   * so handlers can simply do: `if (!info) return;`
+   */
+
+  const loadRoom = async (roomName) => {
+    const info = isReservedName(roomName) ? null : await roomStore.getRoomInfo(roomName);
+
+    if (!info) {
+      socket.emit('error', {
+        message: 'Room not found',
+        code: 'ROOM_NOT_FOUND',
+        roomName
+      });
+    }
+
+    return info;
+  };
+
+  const loadRoomForModerator = async (roomName) => {
+    const info = await loadRoom(roomName);
+
+    if (info && !isModerator(info, socket.userId)) {
+      socket.emit('error', {
+        message: 'Only moderators can do this',
+        code: 'NOT_AUTHORIZED'
+      });
+      return null;
+    }
+
+    return info;
+  };
+
+  const loadRoomForOwner = async (roomName) => {
+    const info = await loadRoom(roomName);
+
+    if (info && !isOwner(info, socket.userId)) {
+      socket.emit('error', {
+        message: 'Only the room owner can do this',
+        code: 'NOT_AUTHORIZED'
+      });
+      return null;
+    }
+
+    return info;
+  };
+
+  const findTargetUser = async (username) => {
+    const user = await userStore.findByUsername(username);
+
+    if (!user) {
+      socket.emit('error', {
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    return user;
+  };
+
+  /**
+   * Shared checks for kick/ban/mute (and unban/unmute):
+   * - Room exists and this user is a moderator
+   * - Target user exists, isn't this user, and may be moderated by them
+   *
+   * duration and reason (both optional) were checked by the schema
+   *
+   * Returns { info, user, until, reason } or null (error already sent)
+   */
+  const loadModerationTarget = async (data) => {
+    const info = await loadRoomForModerator(data.roomName);
+    if (!info) return null;
+
+    const user = await findTargetUser(data.username);
+    if (!user) return null;
+
+    if (user.userId === socket.userId) {
+      socket.emit('error', {
+        message: 'You cannot do this to yourself',
+        code: 'INVALID_TARGET'
+      });
+      return null;
+    }
+
+    if (!canModerate(info, socket.userId, user.userId)) {
+      socket.emit('error', {
+        message: 'You cannot moderate this user',
+        code: 'NOT_AUTHORIZED'
+      });
+      return null;
+    }
+
+    const { duration, reason } = data;
+
+    return {
+      info,
+      user,
+      until: duration ? Date.now() + duration * 1000 : null, // null = forever
+      reason
+    };
+  };
+
+  /**
+   * Make every socket of a user leave the room (on any server process)
+   * and update the member list
+   */
+  const ejectUser = async (roomName, user) => {
+    // fetchSockets() returns sockets connected to other servers too
+    // (with the Redis adapter), and they support leave() as well
+    const userSockets = await io.in(userChannel(user.userId)).fetchSockets();
+
+    userSockets
+      .filter(userSocket => userSocket.rooms.has(roomName))
+      .forEach(userSocket => userSocket.leave(roomName));
+
+    // Every connection - including ones that just dropped and are waiting
+    // to reconnect (see RECONNECT below), so they aren't restored
+    await removeFromRoom(roomName, user, { everyConnection: true });
+  };
+
+  /**
+   * Tell the affected user (all their tabs) and the room what happened
+   *
+   * action: 'kick' | 'ban' | 'unban' | 'mute' | 'unmute'
+   */
+  const announceModeration = (roomName, action, user, { until = null, reason } = {}) => {
+    socket.log.info('Moderation action', { roomName, action, targetId: user.userId, until, reason });
+
+    const details = {
+      roomName,
+      action,
+      username: user.username,
+      by: socket.username,
+      until,
+      reason,
+      timestamp: Date.now()
+    };
+
+    io.to(userChannel(user.userId)).emit('moderation_action', details);
+
+    // System notice for everyone still in the room
+    io.to(roomName).emit('system_message', {
+      ...details,
+      text: MODERATION_NOTICES[action](user.username, socket.username)
+    });
+  };
+
+  /**
+   * Tell everyone in the room (and the owner, wherever they are)
+   * about the new moderator list
+   */
+  const announceRoomUpdate = (roomName, info) => {
+    io.to(roomName).to(userChannel(info.owner.userId)).emit('room_updated', {
+      roomName,
+      ...publicRoomInfo(info)
+    });
+  };
+
+  // ==========================================================================
+  // EVENT: send_message
+  // Client sends a message to one of their rooms
+  // ==========================================================================
+
+  handle('send_message', async (data, ack) => {
+    /**
+     * FLOW:
+     * 1. Check if user is in the room (and not muted)
+     * 2. Check the thread it replies to, if any
+     * 3. Skip it if we already have it (client retried)
+     * 4. Create message object
+     * 5. Broadcast to everyone in room (including sender)
+     * 6. Acknowledge to sender
+     *
+     * THREADS:
+     * Pass parentMessageId to reply to a message instead of posting
+     * to the main conversation:
+     *
+     * socket.emit('send_message', { roomName, text: 'Agreed!', parentMessageId: '...' });
+     *
+     * Threads are one level deep (like Slack): replying to a reply
+     * adds to the same thread.
+     *
+     * ACKNOWLEDGEMENT + RETRIES:
+     * The client can pass a callback, and a clientMessageId it made up:
+     *
+     * socket.emit('send_message', { roomName, text, clientMessageId: 'c-123' }, (response) => {
+     *   // response = { success: true, messageId: '...', clientMessageId: 'c-123' }
+     * });
+     *
+     * No response (e.g. the connection dropped)? The client sends it again
+     * with the SAME clientMessageId. If we already saved it, we don't save
+     * or broadcast it twice - we just answer with the original messageId.
+     */
+
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    const fail = (error) => {
+      socket.emit('error', error);
+      reply({ success: false, ...error });
+    };
+
+    // -------------------------------------------------------------------------
+    // CHECK IF IN ROOM
+    // -------------------------------------------------------------------------
+
+    const { roomName } = data;
+
+    if (!isInRoom(roomName)) {
+      return fail({
+        message: 'You must join this room first',
+        code: 'NOT_IN_ROOM'
+      });
+    }
+
+    const mute = getActiveMute(await roomStore.getRoomInfo(roomName), socket.userId);
+
+    if (mute) {
+      return fail({
+        message: 'You are muted in this room',
+        code: 'MUTED',
+        roomName,
+        mutedUntil: mute.until // null = until a moderator unmutes you
+      });
+    }
+
+    // -------------------------------------------------------------------------
+    // THREAD
+    // -------------------------------------------------------------------------
+
+    // text is trimmed and clientMessageId is null if not given (see utils/schemas.js)
+    const { text, clientMessageId } = data;
+
+    let parentMessageId = null;
+
+    if (data.parentMessageId) {
+      const parent = await messageStore.findById(roomName, data.parentMessageId);
+
+      if (!parent || parent.deleted) {
+        return fail({
+          message: 'The message you are replying to was not found',
+          code: 'PARENT_NOT_FOUND'
+        });
+      }
+
+      // Reply to a reply → same thread as that reply
+      parentMessageId = parent.parentMessageId || parent.messageId;
+    }
+
+    // -------------------------------------------------------------------------
+    // CREATE MESSAGE OBJECT
+    // -------------------------------------------------------------------------
+
+    const message = {
+      messageId: generateMessageId(),
+      clientMessageId, // Lets the sender match it with the message they sent
+      text,
+      sender: socket.username,
+      senderId: socket.userId,
+      roomName,
+      parentMessageId, // null = normal message, otherwise a thread reply
+      replyCount: 0,   // How many replies this message has (see threads above)
+      reactions: [],   // See add_reaction
+      timestamp: Date.now()
+    };
+
+    // Save it so users joining later can see it in the history
+    const saved = await messageStore.append(message);
+
+    // -------------------------------------------------------------------------
+    // DUPLICATE? (client retried a message we already have)
+    // -------------------------------------------------------------------------
+
+    /**
+     * append() checks for an earlier message with this clientMessageId
+     * and saves in ONE step (on every server, with Redis), so two copies
+     * arriving at the same time can't both get through
+     */
+
+    if (saved.messageId !== message.messageId) {
+      socket.log.debug('Duplicate message ignored', { roomName, messageId: saved.messageId, clientMessageId });
+
+      return reply({
+        success: true,
+        messageId: saved.messageId,
+        clientMessageId,
+        timestamp: saved.timestamp,
+        duplicate: true
+      });
+    }
+
+    // Only IDs, never the text: logs are not the place for private conversations
+    socket.log.debug('Message sent', { roomName, messageId: message.messageId, parentMessageId });
+
+    countMessage('room');
+
+    // -------------------------------------------------------------------------
+    // BROADCAST TO ROOM
+    // -------------------------------------------------------------------------
+
+    /**
+     * io.to(roomName).emit() = Send to everyone in room (including sender)
+     *
+     * Why include sender?
+     * - Confirmation that message was sent
+     * - All clients show the same message (consistency)
+     */
+
+    if (parentMessageId) {
+      await announceThreadReply(message);
+    } else {
+      io.to(roomName).emit('new_message', message);
+    }
+
+    reply({
+      success: true,
+      messageId: message.messageId,
+      clientMessageId,
+      timestamp: message.timestamp
+    });
+  });
+
+  /**
+   * A reply was posted: count it on the parent message
+   * and tell the room (thread replies are NOT sent as new_message,
+   * so they don't show up in the main conversation)
+   */
+  const announceThreadReply = async (reply) => {
+    const { roomName, parentMessageId } = reply;
+
+    // Counted on the LATEST version of the parent, so replies
+    // posted at the same time (maybe on other servers) all count
+    const parent = await messageStore.update(roomName, parentMessageId, message => ({
+      replyCount: message.replyCount + 1,
+      lastReplyAt: reply.timestamp
+    }));
+
+    // The parent may have been dropped from the history (ring buffer) by now
+    const replyCount = parent
+      ? parent.replyCount
+      : (await messageStore.getReplies(roomName, parentMessageId)).length;
+
+    io.to(roomName).emit('thread_reply', {
+      roomName,
+      parentMessageId,
+      replyCount,
+      message: reply
+    });
+  };
+
+  // ==========================================================================
+  // EVENT: get_thread
+  // Client opens a thread: send the parent message and all its replies
+  // ==========================================================================
+
+  handle('get_thread', async (data) => {
+    /**
+     * socket.emit('get_thread', { roomName, parentMessageId });
+     * → thread { roomName, parent, replies (oldest first) }
+     */
+
+    const parent = await loadRoomMessage({ roomName: data.roomName, messageId: data.parentMessageId });
+    if (!parent) return;
+
+    // Asked for a reply? Show the whole thread it belongs to
+    const threadId = parent.parentMessageId || parent.messageId;
+
+    socket.emit('thread', {
+      roomName: data.roomName,
+      parent: threadId === parent.messageId ? parent : await messageStore.findById(data.roomName, threadId),
+      replies: await messageStore.getReplies(data.roomName, threadId)
+    });
+  });
+
+  // ==========================================================================
+  // EVENT: edit_message
+  // Sender (or a moderator) changes the text of a message
+  // ==========================================================================
+
+  handle('edit_message', async (data) => {
+    /**
+     * FLOW:
+     * 1. Find the message and check permissions
+     * 2. Save it (old text goes into editHistory)
+     * 3. Tell everyone in the room, so they can update it on screen
+     *
+     * socket.emit('edit_message', { roomName, messageId, text: 'Fixed!' });
+     */
+
+    const original = await loadEditableMessage(data);
+    if (!original) return;
+
+    if (original.deleted) {
+      socket.emit('error', {
+        message: 'This message was deleted',
+        code: 'MESSAGE_DELETED'
+      });
+      return;
+    }
+
+    const { text } = data;
+
+    if (text === original.text) return; // Nothing changed
+
+    /**
+     * EDIT HISTORY:
+     * Every previous version is kept (the newest MAX_EDIT_HISTORY),
+     * so moderators can see what a message said before it was changed
+     */
+
+    const editedAt = Date.now();
+
+    const editHistory = [
+      ...(original.editHistory || []),
+      { text: original.text, editedAt, editedBy: socket.username }
+    ].slice(-MAX_EDIT_HISTORY);
+
+    const message = await messageStore.update(data.roomName, data.messageId, { text, editedAt, editHistory });
+
+    socket.log.debug('Message edited', { roomName: data.roomName, messageId: data.messageId });
+
+    io.to(data.roomName).emit('message_updated', message);
+  });
+
+  // ==========================================================================
+  // EVENT: delete_message
+  // Sender (or a moderator) removes a message
+  // ==========================================================================
+
+  handle('delete_message', async (data) => {
+    /**
+     * "SOFT" DELETE:
+     * The message stays in the history, but its text (and edit history)
+     * is wiped and it's marked as deleted.
+     *
+     * Why not remove it completely?
+     * Message IDs are used as cursors for paginated history
+     * (see room.controller.js) - removing one could break scrolling back.
+     *
+     * socket.emit('delete_message', { roomName, messageId });
+     */
+
+    const original = await loadEditableMessage(data);
+    if (!original || original.deleted) return;
+
+    const deletedAt = Date.now();
+
+    await messageStore.update(data.roomName, data.messageId, {
+      text: '',
+      editHistory: [],
+      reactions: [],
+      deleted: true,
+      deletedAt,
+      deletedBy: socket.username
+    });
+
+    socket.log.info('Message deleted', { roomName: data.roomName, messageId: data.messageId });
+
+    io.to(data.roomName).emit('message_deleted', {
+      roomName: data.roomName,
+      messageId: data.messageId,
+      deletedBy: socket.username,
+      deletedAt
+    });
+  });
+
+  // ==========================================================================
+  // EVENT: add_reaction / remove_reaction
+  // React to a message with an emoji (👍 ❤️ 😂 ...)
+  // ==========================================================================
+
+  /**
+   * REACTIONS ON A MESSAGE:
+   * message.reactions = [
+   *   { emoji: '👍', count: 2, users: ['alice', 'bob'] },
+   *   { emoji: '🎉', count: 1, users: ['carol'] }
+   * ]
+   *
+   * - Each user can add each emoji once (adding it again does nothing)
+   * - Stored on the message, so every history (joining a room,
+   *   paginated REST history) includes the reactions automatically
+   *
+   * socket.emit('add_reaction', { roomName, messageId, emoji: '👍' });
+   */
+
+  handle('add_reaction', async (data) => {
+    await changeReaction(data, true);
+  });
+
+  handle('remove_reaction', async (data) => {
+    await changeReaction(data, false);
+  });
+
+  const changeReaction = async (data, add) => {
+    const { roomName, messageId, emoji } = data;
+
+    if (add && isInRoom(roomName) &&
+        getActiveMute(await roomStore.getRoomInfo(roomName), socket.userId)) {
+      socket.emit('error', {
+        message: 'You are muted in this room',
+        code: 'MUTED',
+        roomName
+      });
+      return;
+    }
+
+    const message = await loadRoomMessage(data);
+    if (!message) return;
+
+    if (message.deleted) {
+      socket.emit('error', {
+        message: 'This message was deleted',
+        code: 'MESSAGE_DELETED'
+      });
+      return;
+    }
+
+    const reactions = message.reactions || [];
+    const existing = reactions.find(reaction => reaction.emoji === emoji);
+
+    if (add && !existing && reactions.length >= MAX_REACTIONS_PER_MESSAGE) {
+      socket.emit('error', {
+        message: `A message can have at most ${MAX_REACTIONS_PER_MESSAGE} different reactions`,
+        code: 'TOO_MANY_REACTIONS'
+      });
+      return;
+    }
+
+    // Toggled on the LATEST version of the message: someone else
+    // (maybe on another server) may have reacted since we loaded it
+    let updated = null;
+
+    await messageStore.update(roomName, messageId, latest => {
+      updated = toggleReaction(latest.reactions || [], emoji, socket.username, add);
+      return updated && { reactions: updated };
+    });
+
+    // Adding twice / removing something that isn't there: nothing to do
+    if (!updated) return;
+
+    io.to(roomName).emit('reactions_updated', {
+      roomName,
+      messageId,
+      reactions: updated
+    });
+  };
+
+  // ==========================================================================
+  // HELPERS: finding messages for the events above
+  // ==========================================================================
+
+  /**
+   * Find a message of a room this user is in
+   * Returns the message, or null (error already sent)
+   */
+  const loadRoomMessage = async ({ roomName, messageId }) => {
+    if (!isInRoom(roomName)) {
+      socket.emit('error', {
+        message: 'You must join this room first',
+        code: 'NOT_IN_ROOM'
+      });
+      return null;
+    }
+
+    const message = await messageStore.findById(roomName, messageId);
+
+    if (!message) {
+      socket.emit('error', {
+        message: 'Message not found',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return message;
+  };
+
+  /**
+   * Shared checks for edit_message and delete_message:
+   * - User is in the room
+   * - Message exists in that room
+   * - User sent it, or is a moderator of the room
+   *
+   * Returns the message, or null (error already sent)
+   */
+  const loadEditableMessage = async (data) => {
+    const message = await loadRoomMessage(data);
+    if (!message) return null;
+
+    if (message.senderId !== socket.userId &&
+        !isModerator(await roomStore.getRoomInfo(data.roomName), socket.userId)) {
+      socket.emit('error', {
+        message: 'You can only change your own messages',
+        code: 'NOT_AUTHORIZED'
+      });
+      return null;
+    }
+
+    return message;
+  };
+
+  // ==========================================================================
+  // EVENT: mark_read
+  // Client has shown the user every message up to (and including) messageId
+  // ==========================================================================
+
+  handle('mark_read', async (data) => {
+    /**
+     * FLOW:
+     * 1. Find the message
+     * 2. Ignore it if the user already read something newer
+     *    (e.g. receipts from two tabs arriving out of order)
+     * 3. Save the receipt and tell the room
+     *
+     * socket.emit('mark_read', { roomName: 'general', messageId: '...' });
+     */
+
+    const { roomName } = data;
+
+    const message = await loadRoomMessage(data);
+
+    // Receipts follow the main conversation, not threads
+    if (!message || message.parentMessageId) return;
+
+    const previous = await readReceiptStore.getLastRead(roomName, socket.userId);
+
+    if (previous && previous.timestamp >= message.timestamp) return;
+
+    const receipt = {
+      userId: socket.userId,
+      username: socket.username,
+      messageId: message.messageId,
+      timestamp: message.timestamp,
+      readAt: Date.now()
+    };
+
+    await readReceiptStore.setLastRead(roomName, receipt);
+
+    // Everyone in the room (including this user's other tabs,
+    // which can clear their unread counter)
+    io.to(roomName).emit('read_receipt', {
+      roomName,
+      ...publicReceipt(receipt)
+    });
+  });
+
+  /**
+   * How many messages in a room this user hasn't read yet
+   *
+   * Not counted: their own messages, deleted messages and thread replies
+   * (those aren't in the main conversation)
+   */
+  const countUnread = async (roomName) => {
+    const lastRead = await readReceiptStore.getLastRead(roomName, socket.userId);
+    const since = lastRead ? lastRead.timestamp : 0;
+
+    return messageStore.count(roomName, message =>
+      message.timestamp > since &&
+      message.senderId !== socket.userId &&
+      !message.deleted &&
+      !message.parentMessageId
+    );
+  };
+
+  // ==========================================================================
+  // EVENT: typing
+  // Client is typing (for "User is typing..." indicator)
+  // ==========================================================================
+
+  handle('typing', (data) => {
+    if (isInRoom(data.roomName)) {
+      // Send to everyone in room EXCEPT sender
+      socket.to(data.roomName).emit('user_typing', {
+        username: socket.username,
+        roomName: data.roomName
+      });
+    }
+  });
+
+  // ==========================================================================
+  // EVENT: stop_typing
+  // Client stopped typing
+  // ==========================================================================
+
+  handle('stop_typing', (data) => {
+    if (isInRoom(data.roomName)) {
+      socket.to(data.roomName).emit('user_stop_typing', {
+        username: socket.username,
+        roomName: data.roomName
+      });
+    }
+  });
+
+  // ==========================================================================
+  // RECONNECT: put a returning user back into their rooms
+  // ==========================================================================
+
+  /**
+   * A short Wi-Fi drop disconnects the socket. Without this, everyone would
+   * see "alice left" + "alice joined", and alice would miss every message
+   * sent while she was gone.
+   *
+   * HOW IT WORKS:
+   * 1. On disconnect, the user stays a member of their rooms for
+   *    RECONNECT_GRACE_PERIOD seconds (see 'disconnecting' below)
+   * 2. The client reconnects and says which rooms it was in, and the
+   *    last message it saw in each:
+   *
+   *    io(url, { auth: { token, resume: { general: '<last messageId>' } } })
+   *
+   * 3. For every room where the user is STILL a member, we join the new
+   *    socket to it and count it as one more connection (no user_joined
+   *    broadcast - the old connection still counts until the grace
+   *    period ends, so nobody saw them leave)
+   *    and send the messages they missed as normal new_message events
+   * 4. session_restored tells the client which rooms came back,
+   *    and which didn't (grace period over, banned...) - it can join
+   *    those again the normal way
+   *
+   * Membership lives in the room store, so this also works when the
+   * user reconnects to a different server process (with Redis).
+   *
+   * Not replayed: edits, deletions and reactions made while they were away.
+   */
+
+  const restoreSession = async () => {
+    const { resume } = socket.handshake.auth || {};
+
+    if (!resume || typeof resume !== 'object') return;
+
+    const restored = [];
+    const expired = [];
+
+    for (const [roomName, lastSeenId] of Object.entries(resume).slice(0, MAX_RESUME_ROOMS)) {
+      if (isReservedName(roomName)) continue;
+
+      const info = await roomStore.getRoomInfo(roomName);
+
+      const stillMember = Boolean(info) &&
+        !getActiveBan(info, socket.userId) &&
+        await roomStore.isMember(roomName, socket.userId);
+
+      if (!stillMember) {
+        expired.push(roomName);
+        continue;
+      }
+
+      socket.join(roomName);
+
+      const result = await roomStore.addMember(roomName, currentUser);
+
+      // The room was deleted after the check
+      if (!result) {
+        socket.leave(roomName);
+        expired.push(roomName);
+        continue;
+      }
+
+      restored.push(roomName);
+
+      const { connections, userCount } = result;
+
+      // The grace period ended just now (between the check and addMember)
+      // and the others were told we left - so tell them we're back
+      if (connections === 1) {
+        socket.to(roomName).emit('user_joined', {
+          username: socket.username,
           roomName,
-          reason: 'empty'
+          userCount,
+          timestamp: Date.now()
         });
       }
+
+      await replayMissedMessages(roomName, lastSeenId);
     }
+
+    socket.log.info('Session restored', { rooms: restored, expired });
+
+    socket.emit('session_restored', { rooms: restored, expired });
+  };
+
+  /**
+   * Send every message after lastSeenId (oldest first)
+   *
+   * Unknown lastSeenId (none, or too old)? Send the recent history
+   * - the client skips messages it already has
+   */
+  const replayMissedMessages = async (roomName, lastSeenId) => {
+    const recent = await messageStore.getRecent(roomName, HISTORY_REPLAY_LIMIT);
+    const lastSeenIndex = recent.findIndex(message => message.messageId === lastSeenId);
+    const missed = lastSeenIndex === -1 ? recent : recent.slice(lastSeenIndex + 1);
+
+    for (const message of missed) {
+      if (!message.parentMessageId) {
+        socket.emit('new_message', message);
+        continue;
+      }
+
+      const parent = await messageStore.findById(roomName, message.parentMessageId);
+
+      socket.emit('thread_reply', {
+        roomName,
+        parentMessageId: message.parentMessageId,
+        replyCount: parent ? parent.replyCount : undefined,
+        message
+      });
+    }
+  };
+
+  restoreSession().catch(error => {
+    socket.log.error('Could not restore rooms', { error });
+  });
+
+  // ==========================================================================
+  // EVENT: disconnecting
+  // Client disconnects (closes tab, loses internet, etc.)
+  // ==========================================================================
+
+  /**
+   * WHY 'disconnecting' AND NOT 'disconnect'?
+   * By the time 'disconnect' fires, Socket.IO has already emptied
+   * socket.rooms. 'disconnecting' fires just before, so we can still
+   * see every room this socket was in.
+   */
+
+  handle('disconnecting', async (reason) => {
+    /**
+     * CLEANUP (for every joined room), after the grace period:
+     * - Remove this connection from the room
+     * - If it was the user's last one: notify others
+     *   (the room stays even if it's empty now, see removeFromRoom)
+     *
+     * A reconnect during the grace period added a NEW connection
+     * (see RECONNECT above), so removing this one changes nothing
+     * for the others.
+     */
+
+    // Copy the list now - socket.rooms is emptied right after this event
+    const roomNames = joinedRooms();
+
+    socket.log.debug('Disconnecting, leaving rooms', { reason, rooms: roomNames });
+
+    roomNames.forEach(roomName => socket.leave(roomName));
+
+    await afterGracePeriod(async () => {
+      for (const roomName of roomNames) {
+        await removeFromRoom(roomName, currentUser, { deleteIfEmpty: false });
+      }
+    }, 'removing user from rooms', socket.log);
   });
 
 };
 
 // ============================================================================
-// HELPER FUNCTIONS
+// HELPERS
 // ============================================================================
 
 /**
- * Generate unique message ID
+ * Remove a user's entry from a ban/mute list, and drop expired entries
+ * while we're at it (so the lists don't grow forever)
+ */
+function withoutEntry(list = [], userId) {
+  const now = Date.now();
+
+  return list.filter(entry =>
+    entry.userId !== userId && (entry.until === null || entry.until > now)
+  );
+}
+
+/**
+ * Add or remove one user's reaction
  *
- * Uses timestamp + random string
- * Example: "l3k5j2h4g9"
+ * Returns the new reactions list (the old one is not changed),
+ * or null if nothing changed
+ */
+function toggleReaction(reactions, emoji, username, add) {
+  const existing = reactions.find(reaction => reaction.emoji === emoji);
+  const hasReacted = Boolean(existing && existing.users.includes(username));
+
+  if (add === hasReacted) {
+    return null;
+  }
+
+  if (add && !existing) {
+    return [...reactions, { emoji, count: 1, users: [username] }];
+  }
+
+  return reactions
+    .map(reaction => {
+      if (reaction.emoji !== emoji) return reaction;
+
+      const users = add
+        ? [...reaction.users, username]
+        : reaction.users.filter(user => user !== username);
+
+      return { emoji, count: users.length, users };
+    })
+    .filter(reaction => reaction.count > 0); // Nobody left? Remove the emoji
+}
+
+/**
+ * The part of a read receipt we send to clients
  */
-function generateMessageId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function publicReceipt(receipt) {
+  return {
+    username: receipt.username,
+    messageId: receipt.messageId,
+    readAt: receipt.readAt
+  };
 }
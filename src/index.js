@@ -34,14 +34,41 @@ const { createServer } = require('http');    // Node's built-in HTTP server
 const { Server } = require('socket.io');     // Real-time WebSocket library
 const cors = require('cors');                // Allow cross-origin requests
 const path = require('path');                // File path utilities
+const { createAdapter } = require('@socket.io/redis-adapter'); // Multi-server Socket.IO
 
 // ============================================================================
 // STEP 3: IMPORT OUR CUSTOM MODULES
 // ============================================================================
 
 const authRoutes = require('./routes/auth.routes');
+const roomRoutes = require('./routes/room.routes');
 const socketHandler = require('./controllers/socket.controller');
+const sessionHandler = require('./controllers/session.controller');
+const directMessageHandler = require('./controllers/directMessage.controller');
+const presenceHandler = require('./controllers/presence.controller');
+const healthController = require('./controllers/health.controller');
 const { authenticateSocket } = require('./middleware/auth.middleware');
+const { logRequests } = require('./middleware/requestLogger.middleware');
+const { countHttpRequests, serveMetrics } = require('./middleware/metrics.middleware');
+const { rateLimitSocket } = require('./middleware/rateLimit.middleware');
+const {
+  redisEnabled,
+  createRedisClient,
+  getSharedRedisClient,
+  closeSharedRedisClient
+} = require('./utils/redis');
+const logger = require('./utils/logger');
+const { addHealthCheck, markShuttingDown, isShuttingDown } = require('./utils/health');
+const { whenIdle } = require('./utils/socketEvents');
+const { runPendingCleanups } = require('./utils/reconnect');
+const { sessionChannel } = require('./utils/channels');
+const { userStore } = require('./stores/user.store');
+const { messageStore } = require('./stores/message.store');
+const { roomStore } = require('./stores/room.store');
+const { readReceiptStore } = require('./stores/readReceipt.store');
+const { presenceStore } = require('./stores/presence.store');
+const { loginAttemptStore } = require('./stores/loginAttempt.store');
+const { tokenStore } = require('./stores/token.store');
 
 // ============================================================================
 // STEP 4: CREATE EXPRESS APP AND HTTP SERVER
@@ -49,6 +76,19 @@ const { authenticateSocket } = require('./middleware/auth.middleware');
 
 const app = express();
 
+/**
+ * Behind a reverse proxy (nginx, a load balancer, Heroku...)?
+ * Then every request seems to come from the proxy's IP address, and
+ * per-IP login protection would lock out EVERYONE at once.
+ * TRUST_PROXY=1 makes req.ip use the X-Forwarded-For header set by
+ * one proxy in front of us. Only set it if there really is a proxy -
+ * otherwise clients could fake their IP with that header.
+ */
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // WHY we create HTTP server manually instead of app.listen()?
 // Because Socket.IO needs the HTTP server instance to attach WebSocket support
 const httpServer = createServer(app);
@@ -67,6 +107,91 @@ const io = new Server(httpServer, {
   }
 });
 
+// ============================================================================
+// STEP 5.1: REDIS ADAPTER (OPTIONAL - FOR MULTIPLE SERVER PROCESSES)
+// ============================================================================
+
+/**
+ * WHAT IS AN ADAPTER?
+ *
+ * By default, io.to('general').emit(...) only reaches sockets connected
+ * to THIS process. The Redis adapter publishes every broadcast to Redis,
+ * and every other process (subscribed to Redis) delivers it to its own
+ * sockets in that room.
+ *
+ * It needs two connections:
+ * - pubClient: sends (publishes) broadcasts
+ * - subClient: receives them (a subscribed connection can't do anything else)
+ *
+ * Enabled with REDIS_ENABLED=true
+ */
+
+const redisClients = [];
+
+async function setupRedisAdapter() {
+  const pubClient = createRedisClient('pub');
+  const subClient = pubClient.duplicate();
+  subClient.on('error', (error) => {
+    logger.error('Redis error', { client: 'sub', error: error.message });
+  });
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  redisClients.push(pubClient, subClient);
+
+  io.adapter(createAdapter(pubClient, subClient));
+
+  logger.info('Redis adapter connected', {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: Number(process.env.REDIS_PORT) || 6379
+  });
+}
+
+/**
+ * For GET /api/health/ready: both connections open, and Redis answers a PING
+ * (only the pubClient is pinged - a subscribed connection can't send PING)
+ */
+async function checkRedisAdapter() {
+  if (!redisEnabled) {
+    return { status: 'disabled' };
+  }
+
+  const [pubClient, subClient] = redisClients;
+
+  if (!pubClient || !pubClient.isReady || !subClient.isReady) {
+    return { status: 'down', error: 'Not connected to Redis' };
+  }
+
+  await pubClient.ping();
+  return { status: 'up' };
+}
+
+/**
+ * For GET /api/health/ready: the connection all Redis stores share
+ */
+async function checkRedisStores() {
+  if (!redisEnabled) {
+    return { status: 'disabled' };
+  }
+
+  const client = getSharedRedisClient();
+
+  if (!client.isReady) {
+    return { status: 'down', error: 'Not connected to Redis' };
+  }
+
+  await client.ping();
+  return { status: 'up' };
+}
+
+// ============================================================================
+// STEP 5.2: HEALTH CHECKS (see GET /api/health/ready)
+// ============================================================================
+
+addHealthCheck('userStore', () => userStore.checkHealth());
+addHealthCheck('messageStore', () => messageStore.checkHealth());
+addHealthCheck('redisAdapter', checkRedisAdapter);
+addHealthCheck('redisStores', checkRedisStores);
+
 // ============================================================================
 // STEP 6: MIDDLEWARE SETUP
 // ============================================================================
@@ -96,11 +221,13 @@ app.use(express.urlencoded({ extended: true }));
 // 4. Static Files - Serve HTML, CSS, JavaScript from 'public' folder
 app.use(express.static(path.join(__dirname, '../public')));
 
-// 5. Logging - Log every request (helpful for debugging)
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-  next(); // IMPORTANT: Call next() to continue to the next middleware
-});
+// 5. Logging - Give every request an ID (req.id, req.log) and log it when done
+//    (see middleware/requestLogger.middleware.js)
+app.use(logRequests);
+
+// 6. Metrics - Count requests by route and status for GET /metrics
+//    (see middleware/metrics.middleware.js)
+app.use(countHttpRequests);
 
 // ============================================================================
 // STEP 7: API ROUTES (REST API Endpoints)
@@ -116,19 +243,23 @@ app.use((req, res, next) => {
  * Express finds the matching route and calls its handler
  */
 
-// Health check - Test if server is running
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    message: 'SocketLink server is running',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime() // How long server has been running (seconds)
-  });
-});
+// Health checks (see controllers/health.controller.js)
+// - /api/health/live:  Is the process running? (restart it if not)
+// - /api/health/ready: Can it take new users? (dependencies up, not shutting down)
+app.get('/api/health', healthController.health);
+app.get('/api/health/live', healthController.live);
+app.get('/api/health/ready', healthController.ready(io));
+
+// Metrics - Connected sockets, messages/sec, handler latency, auth failures...
+// in the Prometheus text format (see middleware/metrics.middleware.js)
+app.get('/metrics', serveMetrics(io));
 
 // Authentication routes (register, login)
 app.use('/api/auth', authRoutes);
 
+// Room routes (message history) - require a valid JWT
+app.use('/api/rooms', roomRoutes);
+
 // 404 handler - Catch any undefined API routes
 app.use('/api/*', (req, res) => {
   res.status(404).json({
@@ -154,6 +285,21 @@ app.use('/api/*', (req, res) => {
  * 4. If invalid: Reject connection
  */
 
+/**
+ * While shutting down (see STEP 11), refuse new connections right away -
+ * no need to check their token. The client gets a connect_error with
+ * error.data = { code: 'SERVER_SHUTTING_DOWN', reconnectAfter }
+ */
+io.use((socket, next) => {
+  if (!isShuttingDown()) {
+    return next();
+  }
+
+  const error = new Error('Server is shutting down');
+  error.data = { code: 'SERVER_SHUTTING_DOWN', reconnectAfter: reconnectAfter() };
+  next(error);
+});
+
 io.use(authenticateSocket);
 
 // ============================================================================
@@ -174,18 +320,54 @@ io.use(authenticateSocket);
 
 io.on('connection', (socket) => {
   // At this point, authentication passed (thanks to middleware)
-  // socket.userId and socket.username are set by authenticateSocket
+  // socket.userId, socket.username and socket.log are set by authenticateSocket
 
-  console.log(`✅ User connected: ${socket.username} (ID: ${socket.id})`);
+  socket.log.info('User connected');
+
+  // Drop events sent too often (flood protection) - before any handler
+  rateLimitSocket(socket);
 
   // Delegate all socket event handling to socket controller
   // This keeps this file clean and organized
   socketHandler(io, socket);
 
+  // Private one-to-one messages
+  directMessageHandler(io, socket);
+
+  // Online / away / offline status
+  presenceHandler(io, socket);
+
+  // Warn/disconnect when the socket's token expires, handle re-authentication
+  sessionHandler(io, socket);
+
   // Handle disconnect
   socket.on('disconnect', (reason) => {
-    console.log(`❌ User disconnected: ${socket.username} (${reason})`);
+    socket.log.info('User disconnected', { reason });
+  });
+});
+
+// ============================================================================
+// STEP 9.1: DISCONNECT SOCKETS OF REVOKED SESSIONS
+// ============================================================================
+
+/**
+ * A socket is authenticated ONCE (at connection).
+ * When its session is logged out (or revoked because of token theft),
+ * we must kick it out ourselves - otherwise it would stay connected.
+ *
+ * Every socket joins its session's room (session.controller.js), and
+ * with the Redis adapter io.in(room) reaches the sockets on EVERY
+ * process - the logout may have happened on another server than
+ * the one the socket is connected to.
+ */
+
+tokenStore.onSessionRevoked((sessionId) => {
+  logger.info('Session revoked, disconnecting its sockets', { sessionId });
+
+  io.to(sessionChannel(sessionId)).emit('session_revoked', {
+    message: 'Your session has ended. Please login again.'
   });
+  io.in(sessionChannel(sessionId)).disconnectSockets(true);
 });
 
 // ============================================================================
@@ -194,24 +376,30 @@ io.on('connection', (socket) => {
 
 const PORT = process.env.PORT || 3003;
 
-httpServer.listen(PORT, () => {
-  console.log(`
-╔════════════════════════════════════════════════════════════╗
-║                                                            ║
-║              SocketLink Server Started! 🚀                ║
-║                                                            ║
-║  HTTP Server:    http://localhost:${PORT}                    ║
-║  Socket.IO:      ws://localhost:${PORT}                      ║
-║                                                            ║
-║  Environment:    ${process.env.NODE_ENV || 'development'}                   ║
-║                                                            ║
-║  Press Ctrl+C to stop                                      ║
-║                                                            ║
-╚════════════════════════════════════════════════════════════╝
-  `);
-
-  console.log('✅ Server is ready to accept connections');
-  console.log('📝 Try: http://localhost:' + PORT);
+/**
+ * Connect to Redis FIRST (if enabled), then start listening
+ * Otherwise early clients could miss broadcasts from other servers
+ */
+async function start() {
+  if (redisEnabled) {
+    await setupRedisAdapter();
+  }
+
+  httpServer.listen(PORT, onListening);
+}
+
+function onListening() {
+  logger.info('Server is ready to accept connections', {
+    port: Number(PORT),
+    url: `http://localhost:${PORT}`,
+    environment: process.env.NODE_ENV || 'development',
+    redis: redisEnabled
+  });
+}
+
+start().catch((error) => {
+  logger.error('Failed to start server', { error });
+  process.exit(1);
 });
 
 // ============================================================================
@@ -221,8 +409,9 @@ httpServer.listen(PORT, () => {
 /**
  * WHAT IS GRACEFUL SHUTDOWN?
  *
- * When server stops (Ctrl+C or crash):
- * - Close all connections properly
+ * When server stops (Ctrl+C, a deploy, or a crash):
+ * - Tell clients BEFORE they lose the connection
+ * - Let work in progress finish
  * - Save any pending data
  * - Clean up resources
  *
@@ -230,43 +419,171 @@ httpServer.listen(PORT, () => {
  * - Prevents data loss
  * - Doesn't leave clients hanging
  * - Professional approach
+ *
+ * FLOW:
+ * 1. STOP TAKING NEW USERS: /api/health/ready answers 503 (load balancers
+ *    send new users elsewhere) and new socket connections are refused
+ * 2. NOTIFY: every socket gets `server_shutdown` with a reconnect hint:
+ *    { message, reason, reconnectAfter: 3120 } (milliseconds, a bit
+ *    different for every socket so they don't all reconnect at once)
+ * 3. DRAIN: wait until the clients have left (they disconnect themselves
+ *    when they get `server_shutdown`), for at most SHUTDOWN_DRAIN_PERIOD
+ * 4. CLOSE: disconnect whoever is left, stop the HTTP server, let running
+ *    event handlers finish, run the cleanups still waiting for their
+ *    reconnect grace period (leave rooms, go offline)
+ * 5. FLUSH: write pending changes (message and user files), close stores
+ *    and Redis connections - then exit
+ *
+ * If it all takes longer than SHUTDOWN_DRAIN_PERIOD + SHUTDOWN_TIMEOUT,
+ * we exit anyway.
  */
 
-function shutdown() {
-  console.log('\n⚠️  Shutting down gracefully...');
+// Settings (in seconds)
+const SHUTDOWN_DRAIN_PERIOD = readSeconds('SHUTDOWN_DRAIN_PERIOD', 10);
+const SHUTDOWN_TIMEOUT = readSeconds('SHUTDOWN_TIMEOUT', 10);
+const SHUTDOWN_RECONNECT_DELAY = readSeconds('SHUTDOWN_RECONNECT_DELAY', 2);
+
+function readSeconds(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
 
-  // Close Socket.IO connections
-  io.close(() => {
-    console.log('✅ Socket.IO connections closed');
+/**
+ * When should a client reconnect? (milliseconds)
+ * SHUTDOWN_RECONNECT_DELAY plus up to the same again at random ("jitter"),
+ * so thousands of clients don't all hit the next server in the same second
+ */
+function reconnectAfter() {
+  return Math.round(SHUTDOWN_RECONNECT_DELAY * 1000 * (1 + Math.random()));
+}
+
+/**
+ * Wait until every socket of THIS process has disconnected,
+ * or `timeout` milliseconds have passed
+ */
+function waitForSocketsToLeave(timeout) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + timeout;
+
+    const check = setInterval(() => {
+      if (io.of('/').sockets.size === 0 || Date.now() >= deadline) {
+        clearInterval(check);
+        resolve();
+      }
+    }, 100);
   });
+}
 
-  // Close HTTP server
-  httpServer.close(() => {
-    console.log('✅ HTTP server closed');
-    console.log('👋 Goodbye!');
-    process.exit(0);
+/**
+ * Close every store and connection - one that fails must not stop the others
+ */
+async function closeAll(closers) {
+  const results = await Promise.allSettled(closers.map(([, close]) => close()));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error('Could not close cleanly', { name: closers[index][0], error: result.reason });
+    }
   });
+}
 
-  // Force exit if it takes too long (10 seconds)
+/**
+ * @param {Object} options
+ * @param {string} options.reason - Why (SIGTERM, SIGINT, error), sent to clients and logged
+ * @param {boolean} options.drain - Wait for clients to leave first? (not after a crash)
+ * @param {number} options.exitCode - 0 = normal stop, 1 = stopped because of an error
+ */
+async function shutdown({ reason = 'shutdown', drain = true, exitCode = 0 } = {}) {
+  if (isShuttingDown()) {
+    logger.warn('Already shutting down', { reason });
+    return;
+  }
+
+  logger.warn('Shutting down gracefully...', { reason, drainPeriod: drain ? SHUTDOWN_DRAIN_PERIOD : 0 });
+
+  // Force exit if it takes too long
   setTimeout(() => {
-    console.error('❌ Forced shutdown after timeout');
+    logger.error('Forced shutdown after timeout');
     process.exit(1);
-  }, 10000);
+  }, ((drain ? SHUTDOWN_DRAIN_PERIOD : 0) + SHUTDOWN_TIMEOUT) * 1000).unref();
+
+  // 1. Readiness checks fail from now on, so load balancers stop sending users here
+  //    (and the middleware in STEP 8 refuses new sockets)
+  markShuttingDown();
+
+  // 2. Tell every socket of THIS process (not io.emit - with Redis,
+  //    that would reach the clients of every other server too)
+  io.of('/').sockets.forEach((socket) => {
+    socket.emit('server_shutdown', {
+      message: 'The server is restarting. Reconnecting shortly...',
+      reason,
+      reconnectAfter: reconnectAfter()
+    });
+  });
+
+  // 3. Give clients time to leave on their own
+  if (drain && io.of('/').sockets.size > 0) {
+    await waitForSocketsToLeave(SHUTDOWN_DRAIN_PERIOD * 1000);
+  }
+
+  // 4. Disconnect whoever is left and stop the HTTP server
+  const remaining = io.of('/').sockets.size;
+  await new Promise(resolve => io.close(() => resolve()));
+  logger.info('Socket.IO and HTTP server closed', { disconnectedSockets: remaining });
+
+  await whenIdle(); // Event handlers that were still running
+
+  // Don't wait out the reconnect grace period: leave rooms and go
+  // offline now, or other servers (Redis) would keep these users forever
+  await runPendingCleanups();
+
+  // 5. Save pending writes, then close stores and Redis connections
+  await closeAll([
+    ['messageStore', () => messageStore.close()], // close() = flush() for the file stores
+    ['userStore', () => userStore.close()],
+    ['roomStore', () => roomStore.close()],
+    ['readReceiptStore', () => readReceiptStore.close()],
+    ['presenceStore', () => presenceStore.close()],
+    ['loginAttemptStore', () => loginAttemptStore.close()],
+    ['tokenStore', () => tokenStore.close()],
+    ...redisClients.map(client => ['redisAdapter', () => client.quit()])
+  ]);
+
+  // The stores' shared connection last (quit() still sends queued commands)
+  await closeAll([['redisStores', closeSharedRedisClient]]);
+
+  logger.info('Shutdown complete, goodbye!', { exitCode });
+  process.exit(exitCode);
 }
 
 // Listen for shutdown signals
-process.on('SIGTERM', shutdown); // Termination signal
-process.on('SIGINT', shutdown);  // Ctrl+C
+process.on('SIGTERM', () => shutdown({ reason: 'SIGTERM' })); // Termination signal (deploys, docker stop)
+process.on('SIGINT', () => shutdown({ reason: 'SIGINT' }));   // Ctrl+C
+
+/**
+ * UNCAUGHT ERRORS
+ *
+ * After an unexpected error, the process may be in a broken state, so we
+ * still stop - but the careful way: clients get `server_shutdown` (so they
+ * reconnect to a healthy server), running handlers finish and pending data
+ * is saved. Only the drain wait is skipped. Exit code 1 tells the process
+ * manager (Docker, systemd, pm2) that it was a crash.
+ */
+function shutdownAfterError() {
+  shutdown({ reason: 'error', drain: false, exitCode: 1 }).catch((error) => {
+    logger.error('Shutdown failed', { error });
+    process.exit(1);
+  });
+}
 
-// Handle uncaught errors (prevents crashes)
 process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
-  shutdown();
+  logger.error('Uncaught exception', { error });
+  shutdownAfterError();
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Promise Rejection:', reason);
-  shutdown();
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled promise rejection', { error: reason });
+  shutdownAfterError();
 });
 
 // ============================================================================
@@ -13,7 +13,48 @@
  * 3. If invalid → stop (send error response)
  */
 
-const jwt = require('jsonwebtoken');
+const { verifyToken } = require('../utils/jwt');
+const { tokenStore } = require('../stores/token.store');
+const logger = require('../utils/logger');
+const { authFailuresTotal } = require('../utils/metrics');
+
+// ============================================================================
+// SHARED: VERIFY AN ACCESS TOKEN
+// ============================================================================
+
+/**
+ * Verifies a JWT access token and returns its payload
+ *
+ * Checks:
+ * 1. Signature, algorithm, expiration, issuer and audience (verifyToken, see utils/jwt.js)
+ * 2. Session not logged out (revoked)
+ *
+ * A valid signature is not enough: after logout, the token is still
+ * correctly signed and not expired, but must be rejected.
+ * Tokens without a session ID (sid) can't be revoked, so we reject those too.
+ *
+ * Async, because the revocation list may be in Redis (see stores/token.store.js)
+ *
+ * Throws (rejects with) an error if the token is not valid:
+ * - TokenExpiredError / JsonWebTokenError (from utils/jwt.js)
+ * - TokenRevokedError (session was logged out)
+ *
+ * Used by both middlewares below and by the `reauthenticate` socket event.
+ */
+
+async function verifyAccessToken(token) {
+  const decoded = verifyToken(token);
+
+  if (!decoded.sid || await tokenStore.isSessionRevoked(decoded.sid)) {
+    const error = new Error('Token revoked');
+    error.name = 'TokenRevokedError';
+    throw error;
+  }
+
+  return decoded;
+}
+
+exports.verifyAccessToken = verifyAccessToken;
 
 // ============================================================================
 // SOCKET.IO AUTHENTICATION MIDDLEWARE
@@ -37,7 +78,7 @@ const jwt = require('jsonwebtoken');
  * @param {Function} next - Call this to continue or reject
  */
 
-exports.authenticateSocket = (socket, next) => {
+exports.authenticateSocket = async (socket, next) => {
   /**
    * FLOW:
    * 1. Extract token from handshake
@@ -47,6 +88,9 @@ exports.authenticateSocket = (socket, next) => {
    * 5. Allow connection
    */
 
+  // Until we know who it is, log lines only carry the socket ID
+  const log = logger.child({ socketId: socket.id });
+
   try {
     // ------------------------------------------------------------------------
     // STEP 1: EXTRACT TOKEN
@@ -66,11 +110,12 @@ exports.authenticateSocket = (socket, next) => {
 
     const token = socket.handshake.auth.token;
 
-    console.log(`🔐 Auth attempt for socket: ${socket.id}`);
+    log.debug('Socket auth attempt');
 
     // Check if token exists
     if (!token) {
-      console.log(`❌ No token provided (socket: ${socket.id})`);
+      log.warn('Socket auth failed: no token provided');
+      authFailuresTotal.inc({ transport: 'socket', reason: 'MissingToken' });
 
       return next(new Error('Authentication error: No token provided'));
       // This stops the connection and sends error to client
@@ -81,29 +126,35 @@ exports.authenticateSocket = (socket, next) => {
     // ------------------------------------------------------------------------
 
     /**
-     * jwt.verify() does THREE things:
+     * verifyToken() (utils/jwt.js) does FOUR things:
      *
      * 1. Decode token (base64 → JSON)
-     * 2. Verify signature (ensure not tampered)
+     * 2. Verify signature (ensure not tampered) - with the key named
+     *    in the token's "kid", and only with the HS256 algorithm
      * 3. Check expiration (ensure not expired)
+     * 4. Check issuer and audience (made by and for this server)
+     *
+     * verifyAccessToken() also checks the session wasn't logged out
      *
      * If any check fails → throws error
      * If all pass → returns payload
      */
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
 
     /**
      * decoded = {
      *   userId: '...',
      *   username: '...',
+     *   sid: '...',       // Session ID (for logout/revocation)
+     *   jti: '...',       // Unique token ID
      *   iat: 1234567890,  // Issued At (timestamp)
-     *   exp: 1234571490   // Expiration (timestamp)
+     *   exp: 1234571490,  // Expiration (timestamp)
+     *   iss: 'socketlink',     // Issuer (JWT_ISSUER)
+     *   aud: 'socketlink-api'  // Audience (JWT_AUDIENCE)
      * }
      */
 
-    console.log(`✅ Token verified for: ${decoded.username}`);
-
     // ------------------------------------------------------------------------
     // STEP 3: ATTACH USER DATA TO SOCKET
     // ------------------------------------------------------------------------
@@ -117,6 +168,18 @@ exports.authenticateSocket = (socket, next) => {
 
     socket.userId = decoded.userId;
     socket.username = decoded.username;
+    socket.sessionId = decoded.sid; // Used to disconnect this socket on logout
+    socket.tokenExp = decoded.exp;  // Used to warn/disconnect when the token expires
+
+    // Logger for everything this socket does: every line says which
+    // socket and which user it was about (see utils/logger.js)
+    socket.log = logger.child({
+      socketId: socket.id,
+      userId: decoded.userId,
+      username: decoded.username
+    });
+
+    socket.log.socket('AUTH', 'Socket authenticated');
 
     // ------------------------------------------------------------------------
     // STEP 4: ALLOW CONNECTION
@@ -144,11 +207,16 @@ exports.authenticateSocket = (socket, next) => {
      * - NotBeforeError: Token used before valid
      */
 
-    console.log(`❌ Auth failed (socket: ${socket.id}): ${error.message}`);
+    log.warn('Socket auth failed', { reason: error.name, error: error.message });
+
+    // Counted by reason for GET /metrics (see utils/metrics.js)
+    authFailuresTotal.inc({ transport: 'socket', reason: error.name });
 
     // Send error to client
     if (error.name === 'TokenExpiredError') {
       return next(new Error('Authentication error: Token expired'));
+    } else if (error.name === 'TokenRevokedError') {
+      return next(new Error('Authentication error: Token revoked'));
     } else if (error.name === 'JsonWebTokenError') {
       return next(new Error('Authentication error: Invalid token'));
     } else {
@@ -174,7 +242,7 @@ exports.authenticateSocket = (socket, next) => {
  * @param {Function} next - Call to continue to next middleware/route
  */
 
-exports.authenticateHTTP = (req, res, next) => {
+exports.authenticateHTTP = async (req, res, next) => {
   try {
     // ------------------------------------------------------------------------
     // STEP 1: EXTRACT TOKEN FROM HEADER
@@ -191,6 +259,7 @@ exports.authenticateHTTP = (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader) {
+      authFailuresTotal.inc({ transport: 'http', reason: 'MissingToken' });
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'No authorization header provided'
@@ -201,6 +270,7 @@ exports.authenticateHTTP = (req, res, next) => {
     const parts = authHeader.split(' ');
 
     if (parts.length !== 2 || parts[0] !== 'Bearer') {
+      authFailuresTotal.inc({ transport: 'http', reason: 'MalformedHeader' });
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'Invalid authorization header format. Use: Bearer <token>'
@@ -213,7 +283,7 @@ exports.authenticateHTTP = (req, res, next) => {
     // STEP 2: VERIFY TOKEN
     // ------------------------------------------------------------------------
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
 
     // ------------------------------------------------------------------------
     // STEP 3: ATTACH USER DATA TO REQUEST
@@ -230,7 +300,8 @@ exports.authenticateHTTP = (req, res, next) => {
 
     req.user = {
       userId: decoded.userId,
-      username: decoded.username
+      username: decoded.username,
+      sessionId: decoded.sid
     };
 
     // ------------------------------------------------------------------------
@@ -244,13 +315,19 @@ exports.authenticateHTTP = (req, res, next) => {
     // ERROR HANDLING
     // ------------------------------------------------------------------------
 
-    console.error('❌ HTTP Auth error:', error.message);
+    req.log.warn('HTTP auth failed', { reason: error.name, error: error.message });
+    authFailuresTotal.inc({ transport: 'http', reason: error.name });
 
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'Token expired. Please login again.'
       });
+    } else if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Token has been revoked. Please login again.'
+      });
     } else if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         error: 'Unauthorized',
@@ -0,0 +1,96 @@
+/**
+ * METRICS MIDDLEWARE
+ *
+ * 1. countHttpRequests: counts every HTTP request by route and status
+ * 2. serveMetrics(io):  GET /metrics - everything in utils/metrics.js,
+ *                       in the Prometheus text format
+ *
+ * Example scrape config (prometheus.yml):
+ *
+ *   scrape_configs:
+ *     - job_name: socketlink
+ *       static_configs:
+ *         - targets: ['localhost:3003']
+ *       authorization:            # Only if METRICS_TOKEN is set
+ *         credentials: <METRICS_TOKEN>
+ *
+ * PROTECTING /metrics:
+ * The metrics include room names. Set METRICS_TOKEN and /metrics only
+ * answers requests with "Authorization: Bearer <METRICS_TOKEN>".
+ * (Not set = open to everyone, fine on a private network)
+ *
+ * MULTIPLE SERVERS (Redis):
+ * Every process reports its OWN sockets and counters -
+ * Prometheus scrapes each process and adds them up.
+ */
+
+const crypto = require('crypto');
+const { createGauge, renderMetrics, httpRequestsTotal } = require('../utils/metrics');
+const { chatRoomSizes } = require('../utils/channels');
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// ============================================================================
+// HTTP REQUEST COUNTS
+// ============================================================================
+
+/**
+ * Counts the request when its response has been sent
+ *
+ * The route is the PATTERN, not the URL:
+ * /api/rooms/general/messages and /api/rooms/random/messages both count as
+ * "/api/rooms/:roomName/messages" (one series instead of one per room).
+ * Requests that matched no route (404s) count as "unmatched".
+ */
+function countHttpRequests(req, res, next) {
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+}
+
+// ============================================================================
+// GET /metrics
+// ============================================================================
+
+/**
+ * Constant-time comparison, so the response time doesn't reveal
+ * how much of a guessed token was right
+ */
+function isValidToken(header) {
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const actual = Buffer.from(header || '');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @param {SocketIO.Server} io - To count connected sockets and room members
+ */
+function serveMetrics(io) {
+  createGauge('socketlink_connected_sockets', 'Sockets connected to this process', () => [
+    { value: io.of('/').sockets.size }
+  ]);
+
+  // Only chat rooms (not the sockets' own rooms or user: channels)
+  createGauge('socketlink_room_sockets', 'Sockets in each chat room (on this process)', () =>
+    Array.from(chatRoomSizes(io), ([room, size]) => ({ labels: { room }, value: size }))
+  );
+
+  return (req, res) => {
+    if (METRICS_TOKEN && !isValidToken(req.get('Authorization'))) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Send the metrics token: Authorization: Bearer <METRICS_TOKEN>'
+      });
+    }
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+  };
+}
+
+module.exports = { countHttpRequests, serveMetrics };
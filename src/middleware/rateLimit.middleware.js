@@ -0,0 +1,243 @@
+/**
+ * SOCKET RATE LIMITING (FLOOD PROTECTION)
+ *
+ * Without this, a client could send thousands of `send_message`,
+ * `create_room` or `typing` events per second and flood everyone.
+ *
+ * HOW IT WORKS:
+ * Every event has a token bucket (see utils/tokenBucket.js):
+ * "at most N at once, then X per second". There are TWO buckets:
+ * - Per socket: one tab can't flood
+ * - Per user:   opening 20 tabs doesn't give you 20x the limit
+ *
+ * An event over the limit is NOT handled. Instead the client gets:
+ *   socket.emit('error', { code: 'RATE_LIMITED', event, retryAfter, message })
+ * (and the acknowledgement callback, if any, gets the same with success: false)
+ *
+ * REPEAT OFFENDERS:
+ * Clients that keep going after RATE_LIMITED get a strike (at most one per
+ * second, so catching up on a queue of messages isn't punished like a flood).
+ * Too many strikes in a minute → `rate_limit_exceeded` and disconnected.
+ *
+ * NOTE: Limits are counted per server process. With several processes
+ * (Redis), a user connected to two of them gets each process's limit.
+ *
+ * USAGE (in index.js, for every new socket):
+ *   rateLimitSocket(socket);
+ */
+
+const { createTokenBucket } = require('../utils/tokenBucket');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// LIMITS
+// ============================================================================
+
+/**
+ * { capacity, perSecond } per event (see utils/tokenBucket.js)
+ * Events not listed here share ONE bucket with DEFAULT_LIMIT
+ * (so made-up event names can't create endless buckets)
+ *
+ * Override any of them in .env as "capacity/perSecond":
+ *   RATE_LIMIT_SEND_MESSAGE=20/2
+ *   RATE_LIMIT_DEFAULT=30/10
+ */
+const DEFAULT_LIMIT = { capacity: 20, perSecond: 5 };
+
+const EVENT_LIMITS = {
+  send_message: { capacity: 10, perSecond: 1 },
+  send_direct_message: { capacity: 10, perSecond: 1 },
+  edit_message: { capacity: 10, perSecond: 1 },
+  delete_message: { capacity: 10, perSecond: 1 },
+  add_reaction: { capacity: 20, perSecond: 2 },
+  remove_reaction: { capacity: 20, perSecond: 2 },
+  create_room: { capacity: 3, perSecond: 1 / 20 },  // 3, then one every 20 seconds
+  join_room: { capacity: 10, perSecond: 0.5 },      // Also slows down password guessing
+  typing: { capacity: 10, perSecond: 2 },
+  stop_typing: { capacity: 10, perSecond: 2 }
+};
+
+// The per-user bucket is this much bigger than the per-socket one
+const USER_LIMIT_MULTIPLIER = 2;
+
+// Strikes (see REPEAT OFFENDERS above)
+const MAX_STRIKES = parseInt(process.env.RATE_LIMIT_MAX_STRIKES, 10) || 10;
+const STRIKE_WINDOW = 60 * 1000;  // Strikes older than a minute are forgotten
+const STRIKE_INTERVAL = 1000;     // At most one strike per second
+
+// RATE_LIMIT_ENABLED=false turns everything off (e.g. for load tests)
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * Read "capacity/perSecond" from the environment, e.g. RATE_LIMIT_TYPING=10/2
+ */
+function readLimit(name, fallback) {
+  const value = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (!value) return fallback;
+
+  const [capacity, perSecond] = value.split('/').map(Number);
+
+  if (!(capacity >= 1) || !(perSecond > 0)) {
+    logger.warn('Ignoring invalid rate limit setting (expected e.g. "10/1")', {
+      setting: `RATE_LIMIT_${name.toUpperCase()}`,
+      value
+    });
+    return fallback;
+  }
+
+  return { capacity, perSecond };
+}
+
+const limits = new Map(
+  Object.entries(EVENT_LIMITS).map(([event, limit]) => [event, readLimit(event, limit)])
+);
+
+limits.set('default', readLimit('default', DEFAULT_LIMIT));
+
+/**
+ * Which bucket counts this event? (its own, or the shared 'default' one)
+ */
+function bucketName(event) {
+  return limits.has(event) ? event : 'default';
+}
+
+// ============================================================================
+// PER-USER STATE
+// ============================================================================
+
+/**
+ * Map<userId, {
+ *   sockets: number,               // Connected sockets of this user (this process)
+ *   buckets: Map<event, bucket>,   // Shared by all of them
+ *   strikes: [timestamp, ...]
+ * }>
+ */
+const users = new Map();
+
+function getUserState(userId) {
+  if (!users.has(userId)) {
+    users.set(userId, { sockets: 0, buckets: new Map(), strikes: [] });
+  }
+  return users.get(userId);
+}
+
+/**
+ * Forget users who disconnected and have no recent strikes
+ * (otherwise the map would grow forever)
+ */
+setInterval(() => {
+  const now = Date.now();
+
+  users.forEach((user, userId) => {
+    user.strikes = user.strikes.filter(time => now - time < STRIKE_WINDOW);
+
+    if (user.sockets === 0 && user.strikes.length === 0) {
+      users.delete(userId);
+    }
+  });
+}, STRIKE_WINDOW).unref(); // unref() = don't keep the process alive just for this
+
+/**
+ * Get (or create) a bucket by name
+ */
+function getBucket(buckets, name, limit) {
+  if (!buckets.has(name)) {
+    buckets.set(name, createTokenBucket(limit));
+  }
+  return buckets.get(name);
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Check every incoming event of this socket against the limits
+ *
+ * socket.use() runs BEFORE the event handlers, for every event
+ * the client sends. Not calling next() = the event is dropped.
+ *
+ * @param {SocketIO.Socket} socket - Individual client connection
+ */
+function rateLimitSocket(socket) {
+  if (!RATE_LIMIT_ENABLED) return;
+
+  const user = getUserState(socket.userId);
+  const socketBuckets = new Map();
+
+  user.sockets += 1;
+
+  socket.on('disconnect', () => {
+    user.sockets -= 1;
+  });
+
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const name = bucketName(event);
+    const limit = limits.get(name);
+
+    const socketBucket = getBucket(socketBuckets, name, limit);
+    const userBucket = getBucket(user.buckets, name, {
+      capacity: limit.capacity * USER_LIMIT_MULTIPLIER,
+      perSecond: limit.perSecond * USER_LIMIT_MULTIPLIER
+    });
+
+    // Only take tokens if BOTH buckets have one
+    const wait = Math.max(socketBucket.retryAfter(), userBucket.retryAfter());
+
+    if (wait === 0) {
+      socketBucket.take();
+      userBucket.take();
+      return next();
+    }
+
+    // -------------------------------------------------------------------------
+    // OVER THE LIMIT
+    // -------------------------------------------------------------------------
+
+    if (addStrike(user) >= MAX_STRIKES) {
+      socket.log.warn('Disconnecting socket for flooding', { event });
+
+      socket.emit('rate_limit_exceeded', {
+        message: 'You were disconnected for sending too many requests.'
+      });
+      socket.disconnect(true);
+      return;
+    }
+
+    const error = {
+      message: 'You are doing that too often. Please slow down.',
+      code: 'RATE_LIMITED',
+      event,
+      retryAfter: Math.ceil(wait) // Seconds (like HTTP's Retry-After header)
+    };
+
+    socket.emit('error', error);
+
+    // Answer the acknowledgement callback too, so the client isn't left waiting
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') {
+      ack({ success: false, ...error });
+    }
+  });
+}
+
+/**
+ * Count a strike (at most one per STRIKE_INTERVAL)
+ * Returns the number of strikes in the last STRIKE_WINDOW
+ */
+function addStrike(user) {
+  const now = Date.now();
+
+  user.strikes = user.strikes.filter(time => now - time < STRIKE_WINDOW);
+
+  const lastStrike = user.strikes[user.strikes.length - 1];
+
+  if (lastStrike === undefined || now - lastStrike >= STRIKE_INTERVAL) {
+    user.strikes.push(now);
+  }
+
+  return user.strikes.length;
+}
+
+module.exports = { rateLimitSocket };
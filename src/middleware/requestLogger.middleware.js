@@ -0,0 +1,55 @@
+/**
+ * REQUEST LOGGER MIDDLEWARE
+ *
+ * Gives every HTTP request an ID and logs one line when it's done
+ *
+ * REQUEST IDS:
+ * - Taken from the X-Request-Id header if the client (or a proxy in front
+ *   of us) already sent one, otherwise a new random UUID
+ * - Sent back in the X-Request-Id response header, so a user reporting
+ *   "my request failed" can tell you which one
+ * - Available as req.id, and on every line logged through req.log:
+ *
+ *   req.log.warn('Login locked', { retryAfter });
+ *   → {"level":"warn","msg":"Login locked","requestId":"3f2a...","retryAfter":60,...}
+ *
+ * Example line when a request finishes:
+ * {"level":"info","msg":"POST /api/auth/login 200","requestId":"3f2a...","method":"POST",
+ *  "path":"/api/auth/login","status":200,"durationMs":84,"ip":"::1"}
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Accept the client's ID only if it looks like one (no 10 KB headers in our logs)
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+function logRequests(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  // 'finish' = the response was sent
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    req.log[level](`${req.method} ${req.originalUrl} ${status}`, {
+      method: req.method,
+      path: req.originalUrl,
+      status,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+      ip: req.ip,
+      userId: req.user && req.user.userId // Set by authenticateHTTP
+    });
+  });
+
+  next(); // IMPORTANT: Call next() to continue to the next middleware
+}
+
+module.exports = { logRequests };
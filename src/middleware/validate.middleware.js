@@ -0,0 +1,45 @@
+/**
+ * REQUEST BODY VALIDATION MIDDLEWARE
+ *
+ * Checks req.body against a schema (see utils/schemas.js) before the
+ * route handler runs - the REST version of what utils/socketEvents.js
+ * does for socket events, with the same error codes.
+ *
+ * Usage (see routes/auth.routes.js):
+ * router.post('/register', validateBody(registerSchema), authController.register);
+ *
+ * Invalid body → 400, and the handler never runs:
+ * {
+ *   "error": "Validation failed",
+ *   "message": "Username must be at least 3 characters",
+ *   "code": "TOO_SHORT",
+ *   "field": "username"
+ * }
+ *
+ * Valid body → req.body is replaced with the cleaned data
+ * (trimmed, defaults filled in, unknown fields dropped)
+ */
+
+const { validate } = require('../utils/validation');
+
+/**
+ * @param {Object} schema - Field rules (see utils/validation.js)
+ * @returns {Function} Express middleware
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, error } = validate(schema, req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        ...error
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = { validateBody };
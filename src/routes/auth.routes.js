@@ -18,6 +18,9 @@ const router = express.Router();
 
 // Import controller functions
 const authController = require('../controllers/auth.controller');
+const { authenticateHTTP } = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validate.middleware');
+const { registerSchema, loginSchema, refreshSchema } = require('../utils/schemas');
 
 // ============================================================================
 // ROUTE DEFINITIONS
@@ -26,10 +29,11 @@ const authController = require('../controllers/auth.controller');
 /**
  * ROUTE STRUCTURE:
  *
- * router.METHOD(PATH, HANDLER)
+ * router.METHOD(PATH, [MIDDLEWARE...], HANDLER)
  *
  * - METHOD: HTTP verb (get, post, put, delete, etc.)
  * - PATH: URL pattern (relative to base path)
+ * - MIDDLEWARE: Runs first, e.g. validateBody() checks the request body
  * - HANDLER: Function to handle the request
  */
 
@@ -65,9 +69,13 @@ const authController = require('../controllers/auth.controller');
  *   "error": "...",
  *   "message": "..."
  * }
+ *
+ * 400 responses also say which field is wrong and why
+ * (see middleware/validate.middleware.js):
+ * { "error": "Validation failed", "message": "...", "code": "TOO_SHORT", "field": "username" }
  */
 
-router.post('/register', authController.register);
+router.post('/register', validateBody(registerSchema), authController.register);
 
 // ----------------------------------------------------------------------------
 // POST /api/auth/login
@@ -90,6 +98,8 @@ router.post('/register', authController.register);
  *   "success": true,
  *   "message": "Login successful",
  *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *   "refreshToken": "9f8e7d...",
+ *   "expiresIn": 900,
  *   "user": {
  *     "userId": "...",
  *     "username": "alice",
@@ -108,7 +118,63 @@ router.post('/register', authController.register);
  * }
  */
 
-router.post('/login', authController.login);
+router.post('/login', validateBody(loginSchema), authController.login);
+
+// ----------------------------------------------------------------------------
+// POST /api/auth/refresh
+// Get a new access token (before or after the old one expires)
+// ----------------------------------------------------------------------------
+
+/**
+ * REFRESH ENDPOINT
+ *
+ * Full URL: http://localhost:3001/api/auth/refresh
+ *
+ * Request:
+ * {
+ *   "refreshToken": "9f8e7d..."
+ * }
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *   "refreshToken": "1a2b3c...",   // NEW refresh token - the old one is now used up
+ *   "expiresIn": 900
+ * }
+ *
+ * Error Response (400/401/500):
+ * {
+ *   "error": "...",
+ *   "message": "..."
+ * }
+ */
+
+router.post('/refresh', validateBody(refreshSchema), authController.refresh);
+
+// ----------------------------------------------------------------------------
+// POST /api/auth/logout
+// End the current session
+// ----------------------------------------------------------------------------
+
+/**
+ * LOGOUT ENDPOINT
+ *
+ * Full URL: http://localhost:3001/api/auth/logout
+ * Header: Authorization: Bearer <token>
+ *
+ * After logout:
+ * - The access token and refresh token of this session stop working
+ * - Sockets connected with this session are disconnected
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "message": "Logged out successfully"
+ * }
+ */
+
+router.post('/logout', authenticateHTTP, authController.logout);
 
 // ----------------------------------------------------------------------------
 // GET /api/auth/users (DEBUGGING ONLY)
@@ -0,0 +1,56 @@
+/**
+ * ROOM ROUTES
+ *
+ * REST API endpoints for chat rooms
+ *
+ * All routes here require a valid JWT:
+ * Authorization: Bearer <token>
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const roomController = require('../controllers/room.controller');
+const { authenticateHTTP } = require('../middleware/auth.middleware');
+
+// ============================================================================
+// ROUTE DEFINITIONS
+// ============================================================================
+
+// ----------------------------------------------------------------------------
+// GET /api/rooms/:roomName/messages
+// Scroll back through a room's message history
+// ----------------------------------------------------------------------------
+
+/**
+ * MESSAGE HISTORY ENDPOINT
+ *
+ * Full URL: http://localhost:3001/api/rooms/general/messages?before=<messageId>&limit=50
+ *
+ * Query parameters (both optional):
+ * - before: messageId to start from (the nextCursor of the previous page)
+ * - limit:  how many messages to return (1-100, default 50)
+ *
+ * Success Response (200):
+ * {
+ *   "roomName": "general",
+ *   "messages": [
+ *     { "messageId": "...", "text": "Hello!", "sender": "alice", ... }
+ *   ],
+ *   "nextCursor": "l3k5j2h4g9"   // null when there are no older messages
+ * }
+ *
+ * Error Response (400/401):
+ * {
+ *   "error": "...",
+ *   "message": "..."
+ * }
+ */
+
+router.get('/:roomName/messages', authenticateHTTP, roomController.getMessages);
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
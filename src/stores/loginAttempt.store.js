@@ -0,0 +1,220 @@
+/**
+ * LOGIN ATTEMPT STORE
+ *
+ * Counts failed logins, so we can slow down password guessing
+ * (see utils/loginProtection.js for the rules)
+ *
+ * Every entry is counted under a key:
+ * - 'ip:203.0.113.7'  → failed logins from this address
+ * - 'user:alice'      → failed logins for this account
+ *
+ * RECORD SHAPE:
+ * {
+ *   failures: 3,                  // Failed logins in a row
+ *   lastFailureAt: 1705312200000, // When the last one happened
+ *   pending: 1                    // Logins being checked right now
+ * }
+ *
+ * WHY "pending"?
+ * Checking a password (bcrypt) takes a while. If we only counted failures
+ * AFTER the check, 50 logins sent at the same moment would all see
+ * "0 failures" and all get to guess. So every login first RESERVES an
+ * attempt (pending + 1, in one step), and the lockout check counts the
+ * pending ones as failures. When the check is done, settle() turns the
+ * reservation into a failure (or just drops it).
+ *
+ * Records are forgotten `ttl` seconds after the last change.
+ *
+ * TWO IMPLEMENTATIONS (same methods, so they are interchangeable):
+ * - memory: A Map inside this process (default)
+ * - redis:  Shared by every server process (REDIS_ENABLED=true),
+ *           so an attacker can't get more guesses by hitting another server
+ */
+
+const { redisEnabled, getSharedRedisClient } = require('../utils/redis');
+
+// How often expired entries are cleaned up (memory store)
+const CLEANUP_INTERVAL = 60 * 1000;
+
+// ============================================================================
+// IN-MEMORY STORE
+// ============================================================================
+
+/**
+ * Map<key, { failures, lastFailureAt, pending, expiresAt }>
+ */
+
+function createMemoryLoginAttemptStore() {
+  const attempts = new Map();
+
+  // Remove entries that expired (so memory doesn't grow forever)
+  setInterval(() => {
+    const now = Date.now();
+
+    attempts.forEach((record, key) => {
+      if (record.expiresAt <= now) attempts.delete(key);
+    });
+  }, CLEANUP_INTERVAL).unref();
+
+  const getRecord = (key) => {
+    const record = attempts.get(key);
+    return record && record.expiresAt > Date.now() ? record : null;
+  };
+
+  const publicRecord = (record) => ({
+    failures: record.failures,
+    lastFailureAt: record.lastFailureAt,
+    pending: record.pending
+  });
+
+  return {
+    /**
+     * Reserve one attempt (pending + 1) and return the record as it
+     * was BEFORE this reservation: { failures, lastFailureAt, pending }
+     *
+     * @param {string} key - e.g. 'user:alice'
+     * @param {number} ttl - Seconds to remember it
+     */
+    async reserve(key, ttl) {
+      const record = getRecord(key) || { failures: 0, lastFailureAt: 0, pending: 0 };
+
+      attempts.set(key, { ...record, pending: record.pending + 1, expiresAt: Date.now() + ttl * 1000 });
+
+      return publicRecord(record);
+    },
+
+    /**
+     * End a reserved attempt (pending - 1):
+     * - failed: true  → count it as a failure
+     * - failed: false → just drop the reservation
+     * Returns the updated record
+     */
+    async settle(key, ttl, { failed }) {
+      const now = Date.now();
+      const record = getRecord(key) || { failures: 0, lastFailureAt: 0, pending: 0 };
+
+      const updated = {
+        failures: failed ? record.failures + 1 : record.failures,
+        lastFailureAt: failed ? now : record.lastFailureAt,
+        pending: Math.max(0, record.pending - 1),
+        expiresAt: now + ttl * 1000
+      };
+      attempts.set(key, updated);
+
+      return publicRecord(updated);
+    },
+
+    /**
+     * Get the record for a key (null = no recent failures)
+     */
+    async get(key) {
+      const record = getRecord(key);
+      return record ? publicRecord(record) : null;
+    },
+
+    /**
+     * Forget the failures (after a successful login)
+     */
+    async reset(key) {
+      attempts.delete(key);
+    },
+
+    async close() {}
+  };
+}
+
+// ============================================================================
+// REDIS STORE
+// ============================================================================
+
+/**
+ * REDIS DATA LAYOUT
+ *
+ * socketlink:login:<key> → HASH { failures, lastFailureAt, pending }
+ *
+ * EXPIRE makes Redis delete the key by itself after `ttl` seconds,
+ * so there's nothing to clean up.
+ *
+ * @param {RedisClient} client - A (connected or connecting) Redis client
+ */
+
+const attemptKey = (key) => `socketlink:login:${key}`;
+
+/**
+ * Redis hashes hold strings: '3' → 3 (missing fields → 0)
+ * pending can dip below 0 if the key expired during a login
+ */
+function parseRecord(record) {
+  return {
+    failures: parseInt(record.failures, 10) || 0,
+    lastFailureAt: parseInt(record.lastFailureAt, 10) || 0,
+    pending: Math.max(0, parseInt(record.pending, 10) || 0)
+  };
+}
+
+function createRedisLoginAttemptStore(client) {
+  return {
+    async reserve(key, ttl) {
+      // MULTI = all run together, no other command in between:
+      // HGETALL sees the record just before OUR increment
+      const [record] = await client.multi()
+        .hGetAll(attemptKey(key))
+        .hIncrBy(attemptKey(key), 'pending', 1)
+        .expire(attemptKey(key), ttl)
+        .exec();
+
+      return parseRecord(record);
+    },
+
+    async settle(key, ttl, { failed }) {
+      const now = Date.now();
+      const transaction = client.multi().hIncrBy(attemptKey(key), 'pending', -1);
+
+      if (failed) {
+        transaction
+          .hIncrBy(attemptKey(key), 'failures', 1)
+          .hSet(attemptKey(key), 'lastFailureAt', now);
+      }
+
+      const results = await transaction
+        .expire(attemptKey(key), ttl)
+        .hGetAll(attemptKey(key))
+        .exec();
+
+      return parseRecord(results[results.length - 1]);
+    },
+
+    async get(key) {
+      const record = await client.hGetAll(attemptKey(key));
+      return Object.keys(record).length > 0 ? parseRecord(record) : null;
+    },
+
+    async reset(key) {
+      await client.del(attemptKey(key));
+    },
+
+    // The shared connection is closed by index.js, not by each store
+    async close() {}
+  };
+}
+
+// ============================================================================
+// PICK IMPLEMENTATION FROM ENVIRONMENT
+// ============================================================================
+
+function createLoginAttemptStore() {
+  if (!redisEnabled) {
+    return createMemoryLoginAttemptStore();
+  }
+
+  return createRedisLoginAttemptStore(getSharedRedisClient());
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+exports.loginAttemptStore = createLoginAttemptStore();
+exports.createLoginAttemptStore = createLoginAttemptStore;
+exports.createMemoryLoginAttemptStore = createMemoryLoginAttemptStore;
+exports.createRedisLoginAttemptStore = createRedisLoginAttemptStore;
@@ -0,0 +1,596 @@
+/**
+ * MESSAGE STORE
+ *
+ * Keeps a history of chat messages for every room
+ * (and for every private conversation, see utils/channels.js)
+ *
+ * WHY DO WE NEED THIS?
+ * - Socket.IO only delivers messages to people who are connected RIGHT NOW
+ * - Someone joining a room mid-conversation would see an empty screen
+ * - With a store, we can replay the last few messages when they join
+ *
+ * THREE IMPLEMENTATIONS (same methods, so they are interchangeable):
+ * - memory: Messages live in a Map (lost on restart, great for development)
+ * - file:   Same as memory, but also saved to a JSON file on disk
+ * - redis:  Shared by every server process, so history, edits and
+ *           reactions work no matter which server a user is connected to
+ *
+ * Pick one with the MESSAGE_STORE environment variable:
+ *   MESSAGE_STORE=memory   (default)
+ *   MESSAGE_STORE=file     (uses MESSAGE_STORE_FILE, default ./data/messages.json)
+ *   MESSAGE_STORE=redis    (default when REDIS_ENABLED=true)
+ *
+ * All methods are async (like the other stores), because Redis
+ * answers over the network.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('../utils/jsonFile');
+const { redisEnabled, getSharedRedisClient } = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// How many messages we keep PER ROOM before the oldest ones are dropped
+const DEFAULT_CAPACITY = 500;
+
+// ============================================================================
+// IN-MEMORY STORE (RING BUFFER PER ROOM)
+// ============================================================================
+
+/**
+ * RING BUFFER
+ *
+ * A list with a fixed maximum size.
+ * When it is full, adding a new item pushes out the OLDEST one.
+ *
+ * Example (capacity 3):
+ * [a, b, c] + d → [b, c, d]
+ *
+ * This keeps memory usage bounded no matter how chatty a room gets.
+ *
+ * Data structure: Map<roomName, Array<message>> (oldest first)
+ *
+ * Direct messages have a conversationId instead of a roomName,
+ * e.g. 'dm:<userIdA>:<userIdB>', and are grouped by that.
+ *
+ * @param {Object} options
+ * @param {number} options.capacity - Max messages kept per room
+ */
+
+function createMemoryMessageStore({ capacity = DEFAULT_CAPACITY } = {}) {
+  const roomMessages = new Map();
+
+  return {
+    /**
+     * Save a message
+     * (message.roomName or message.conversationId decides where it belongs)
+     *
+     * DUPLICATES: if the room already has a message from the same sender
+     * with the same clientMessageId (the client retried), nothing is saved
+     * and that EARLIER message is returned instead. Checking and saving
+     * happen in one step, so two copies arriving at once can't both get in.
+     *
+     * Returns the saved message (or the earlier one)
+     */
+    async append(message) {
+      const key = message.conversationId || message.roomName;
+
+      if (!roomMessages.has(key)) {
+        roomMessages.set(key, []);
+      }
+
+      const buffer = roomMessages.get(key);
+
+      if (message.clientMessageId) {
+        const existing = buffer.find(saved =>
+          saved.senderId === message.senderId && saved.clientMessageId === message.clientMessageId
+        );
+
+        if (existing) return existing;
+      }
+
+      buffer.push(message);
+
+      // Drop the oldest message once we go over capacity
+      if (buffer.length > capacity) {
+        buffer.shift();
+      }
+
+      return message;
+    },
+
+    /**
+     * Get the last `limit` messages of a room (oldest first)
+     */
+    async getRecent(roomName, limit) {
+      const buffer = roomMessages.get(roomName) || [];
+      return buffer.slice(-limit);
+    },
+
+    /**
+     * Get one page of older messages (cursor pagination)
+     *
+     * HOW IT WORKS:
+     * - `before` is a messageId (the "cursor")
+     * - We return up to `limit` messages that came BEFORE it (oldest first)
+     * - No cursor = start from the newest message
+     * - nextCursor = pass this as `before` to get the next (older) page
+     *   (null when there is nothing older)
+     *
+     * Example (limit 2):
+     * [m1, m2, m3, m4, m5]
+     * getPage(room, {})                  → [m4, m5], nextCursor: 'm4'
+     * getPage(room, { before: 'm4' })    → [m2, m3], nextCursor: 'm2'
+     * getPage(room, { before: 'm2' })    → [m1],     nextCursor: null
+     *
+     * Returns null if the cursor is not a message of this room
+     * (unknown id, or too old and already dropped from the buffer)
+     */
+    async getPage(roomName, { before, limit }) {
+      const buffer = roomMessages.get(roomName) || [];
+
+      let end = buffer.length;
+
+      if (before) {
+        end = buffer.findIndex(message => message.messageId === before);
+
+        if (end === -1) {
+          return null;
+        }
+      }
+
+      const start = Math.max(0, end - limit);
+      const messages = buffer.slice(start, end);
+
+      return {
+        messages,
+        nextCursor: start > 0 ? messages[0].messageId : null
+      };
+    },
+
+    /**
+     * Find one message of a room by its ID
+     * Returns null if it doesn't exist (or was dropped from the buffer)
+     */
+    async findById(roomName, messageId) {
+      const buffer = roomMessages.get(roomName) || [];
+      return buffer.find(message => message.messageId === messageId) || null;
+    },
+
+    /**
+     * Count the messages of a room that match `predicate`
+     * Example: count(room, message => message.timestamp > lastVisit)
+     */
+    async count(roomName, predicate) {
+      const buffer = roomMessages.get(roomName) || [];
+      return buffer.filter(predicate).length;
+    },
+
+    /**
+     * Get every reply to a message (oldest first)
+     * (replies have message.parentMessageId set, see send_message)
+     */
+    async getReplies(roomName, parentMessageId) {
+      const buffer = roomMessages.get(roomName) || [];
+      return buffer.filter(message => message.parentMessageId === parentMessageId);
+    },
+
+    /**
+     * Change a message (edit, delete...)
+     *
+     * `changes` is merged into the message, e.g. { text: 'fixed typo' }
+     *
+     * It can also be a function that gets the LATEST version of the message
+     * and returns the changes (or null = change nothing). Use that when the
+     * new value depends on the old one, so changes made by others in the
+     * meantime aren't lost:
+     *   update(room, id, message => ({ replyCount: message.replyCount + 1 }))
+     *
+     * Returns the updated message, or null if it wasn't found
+     */
+    async update(roomName, messageId, changes) {
+      const buffer = roomMessages.get(roomName) || [];
+      const index = buffer.findIndex(message => message.messageId === messageId);
+
+      if (index === -1) {
+        return null;
+      }
+
+      const resolved = typeof changes === 'function' ? changes(buffer[index]) : changes;
+
+      if (!resolved) {
+        return buffer[index];
+      }
+
+      // Replace with a new object (anyone holding the old one keeps the old version)
+      buffer[index] = { ...buffer[index], ...resolved };
+      return buffer[index];
+    },
+
+    /**
+     * Forget every message of a room (when the room is deleted, so whoever
+     * creates a room with the same name later can't read the old messages)
+     */
+    async deleteRoom(roomName) {
+      roomMessages.delete(roomName);
+    },
+
+    /**
+     * Export everything (used by the file store to save to disk)
+     */
+    toJSON() {
+      return Object.fromEntries(roomMessages);
+    },
+
+    /**
+     * Import everything (used by the file store when loading from disk)
+     */
+    load(data) {
+      Object.entries(data).forEach(([roomName, messages]) => {
+        roomMessages.set(roomName, messages.slice(-capacity));
+      });
+    },
+
+    // Nothing to write for the memory store - these exist so both
+    // stores have the same methods
+    flush() {
+      return Promise.resolve();
+    },
+
+    close() {
+      return Promise.resolve();
+    },
+
+    /**
+     * Is the store working? (see GET /api/health/ready)
+     * Memory can't fail - it's here so every store can be asked
+     */
+    async checkHealth() {
+      return { status: 'up', type: 'memory' };
+    }
+  };
+}
+
+// ============================================================================
+// FILE-BACKED STORE
+// ============================================================================
+
+/**
+ * FILE STORE
+ *
+ * Works exactly like the memory store, but:
+ * - Loads existing messages from a JSON file on startup
+ * - Saves to the file after every change (batched, see utils/jsonFile.js)
+ *
+ * ⚠️ If the file exists but cannot be read, we STOP instead of starting
+ * with no history - otherwise the next save would overwrite every message.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Where to save the messages
+ * @param {number} options.capacity - Max messages kept per room
+ */
+
+function createFileMessageStore({ filePath, capacity = DEFAULT_CAPACITY }) {
+  const store = createMemoryMessageStore({ capacity });
+  const file = createJsonFile(filePath, () => store.toJSON());
+
+  // -------------------------------------------------------------------------
+  // LOAD EXISTING MESSAGES
+  // -------------------------------------------------------------------------
+
+  const data = file.read();
+
+  if (data) {
+    const valid = typeof data === 'object' && !Array.isArray(data) &&
+      Object.values(data).every(Array.isArray);
+
+    if (!valid) {
+      throw new Error(`Unsupported message file format: ${filePath}`);
+    }
+
+    store.load(data);
+    logger.info('Loaded message history', { filePath });
+  }
+
+  return {
+    ...store,
+
+    async append(message) {
+      const saved = await store.append(message);
+
+      if (saved === message) {
+        file.scheduleSave();
+      }
+
+      return saved;
+    },
+
+    async update(roomName, messageId, changes) {
+      const updated = await store.update(roomName, messageId, changes);
+
+      if (updated) {
+        file.scheduleSave();
+      }
+
+      return updated;
+    },
+
+    async deleteRoom(roomName) {
+      await store.deleteRoom(roomName);
+      file.scheduleSave();
+    },
+
+    flush() {
+      return file.flush();
+    },
+
+    close() {
+      return file.flush();
+    },
+
+    async checkHealth() {
+      return { type: 'file', ...(await file.check()) };
+    }
+  };
+}
+
+// ============================================================================
+// REDIS STORE
+// ============================================================================
+
+/**
+ * REDIS DATA LAYOUT (per room or conversation)
+ *
+ * socketlink:messages:<room>:ids      → LIST of messageIds (oldest first)
+ * socketlink:messages:<room>:byId     → HASH of messageId → message as JSON
+ * socketlink:messages:<room>:client   → HASH of '<senderId>:<clientMessageId>' → messageId
+ *                                       (to recognize retried messages)
+ *
+ * The list keeps the order (for history and pages), the hash finds
+ * one message quickly (for edits, reactions, threads).
+ *
+ * Reading "every message that matches X" (count, getReplies) loads the
+ * whole room - at most `capacity` messages, so that's fine.
+ *
+ * @param {RedisClient} client - A (connected or connecting) Redis client
+ * @param {Object} options
+ * @param {number} options.capacity - Max messages kept per room
+ */
+
+const idsKey = (roomName) => `socketlink:messages:${roomName}:ids`;
+const byIdKey = (roomName) => `socketlink:messages:${roomName}:byId`;
+const clientIdsKey = (roomName) => `socketlink:messages:${roomName}:client`;
+
+/**
+ * Lua script: save a message (unless it's a retried duplicate)
+ * and drop the oldest ones over capacity
+ *
+ * Atomic, so two servers can't both save the same retried message,
+ * and the list and hashes never disagree.
+ *
+ * Returns the messageId that is saved: the new one, or the earlier
+ * one with the same clientMessageId
+ */
+const APPEND_SCRIPT = `
+  if ARGV[3] ~= '' then
+    local existing = redis.call('HGET', KEYS[3], ARGV[3])
+    if existing then return existing end
+    redis.call('HSET', KEYS[3], ARGV[3], ARGV[1])
+  end
+
+  redis.call('HSET', KEYS[2], ARGV[1], ARGV[2])
+  redis.call('RPUSH', KEYS[1], ARGV[1])
+
+  while redis.call('LLEN', KEYS[1]) > tonumber(ARGV[4]) do
+    local oldId = redis.call('LPOP', KEYS[1])
+    local old = redis.call('HGET', KEYS[2], oldId)
+    redis.call('HDEL', KEYS[2], oldId)
+
+    if old then
+      local message = cjson.decode(old)
+      if type(message.clientMessageId) == 'string' then
+        redis.call('HDEL', KEYS[3], message.senderId .. ':' .. message.clientMessageId)
+      end
+    end
+  end
+
+  return ARGV[1]
+`;
+
+/**
+ * Lua script: which messageIds are on one page (see getPage above)
+ *
+ * Returns { start, ids } or nil if the cursor is not in the room.
+ * (In one script, so the list can't be trimmed between finding the
+ * cursor and reading the page)
+ */
+const PAGE_SCRIPT = `
+  local finish = redis.call('LLEN', KEYS[1])
+
+  if ARGV[1] ~= '' then
+    finish = redis.call('LPOS', KEYS[1], ARGV[1])
+    if not finish then return nil end
+  end
+
+  local start = math.max(0, finish - tonumber(ARGV[2]))
+  if finish == 0 then return { 0, {} } end
+
+  return { start, redis.call('LRANGE', KEYS[1], start, finish - 1) }
+`;
+
+/**
+ * Lua script: replace a message, but only if nobody changed it since we read it
+ * (see update below)
+ */
+const REPLACE_IF_UNCHANGED_SCRIPT = `
+  if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[2] then return 0 end
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+  return 1
+`;
+
+// How often update() tries again when the message keeps changing under it
+const MAX_UPDATE_ATTEMPTS = 5;
+
+function createRedisMessageStore(client, { capacity = DEFAULT_CAPACITY } = {}) {
+  /**
+   * Load messages by ID, in the given order
+   * (skips any that were dropped in the meantime)
+   */
+  const loadMessages = async (roomName, messageIds) => {
+    if (messageIds.length === 0) return [];
+
+    const messages = await client.hmGet(byIdKey(roomName), messageIds);
+    return messages.filter(Boolean).map(json => JSON.parse(json));
+  };
+
+  const loadAll = async (roomName) =>
+    loadMessages(roomName, await client.lRange(idsKey(roomName), 0, -1));
+
+  const store = {
+    async append(message) {
+      const key = message.conversationId || message.roomName;
+      const clientKey = message.clientMessageId ? `${message.senderId}:${message.clientMessageId}` : '';
+
+      const savedId = await client.eval(APPEND_SCRIPT, {
+        keys: [idsKey(key), byIdKey(key), clientIdsKey(key)],
+        arguments: [message.messageId, JSON.stringify(message), clientKey, String(capacity)]
+      });
+
+      if (savedId === message.messageId) return message;
+
+      // A retry: answer with the message saved the first time
+      return (await store.findById(key, savedId)) || message;
+    },
+
+    async getRecent(roomName, limit) {
+      return loadMessages(roomName, await client.lRange(idsKey(roomName), -limit, -1));
+    },
+
+    async getPage(roomName, { before, limit }) {
+      const result = await client.eval(PAGE_SCRIPT, {
+        keys: [idsKey(roomName)],
+        arguments: [before || '', String(limit)]
+      });
+
+      if (!result) return null;
+
+      const [start, messageIds] = result;
+      const messages = await loadMessages(roomName, messageIds);
+
+      return {
+        messages,
+        nextCursor: start > 0 && messages.length > 0 ? messages[0].messageId : null
+      };
+    },
+
+    async findById(roomName, messageId) {
+      const json = await client.hGet(byIdKey(roomName), messageId);
+      return json ? JSON.parse(json) : null;
+    },
+
+    async count(roomName, predicate) {
+      return (await loadAll(roomName)).filter(predicate).length;
+    },
+
+    async getReplies(roomName, parentMessageId) {
+      return (await loadAll(roomName)).filter(message => message.parentMessageId === parentMessageId);
+    },
+
+    /**
+     * Read, change, write back - but only if the message is still the
+     * version we read. If another server changed it in between, read
+     * it again and redo the change (so neither change is lost).
+     */
+    async update(roomName, messageId, changes) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const json = await client.hGet(byIdKey(roomName), messageId);
+        if (!json) return null;
+
+        const message = JSON.parse(json);
+        const resolved = typeof changes === 'function' ? changes(message) : changes;
+
+        if (!resolved) return message;
+
+        const updated = { ...message, ...resolved };
+
+        const replaced = await client.eval(REPLACE_IF_UNCHANGED_SCRIPT, {
+          keys: [byIdKey(roomName)],
+          arguments: [messageId, json, JSON.stringify(updated)]
+        });
+
+        if (replaced === 1) return updated;
+      }
+
+      throw new Error(`Message ${messageId} kept changing, could not update it`);
+    },
+
+    async deleteRoom(roomName) {
+      await client.del([idsKey(roomName), byIdKey(roomName), clientIdsKey(roomName)]);
+    },
+
+    // Every change is written right away - nothing to flush
+    async flush() {},
+
+    // The shared connection is closed by index.js, not by each store
+    async close() {},
+
+    async checkHealth() {
+      if (!client.isReady) {
+        return { status: 'down', type: 'redis', error: 'Not connected to Redis' };
+      }
+
+      await client.ping();
+      return { status: 'up', type: 'redis' };
+    }
+  };
+
+  return store;
+}
+
+// ============================================================================
+// PICK IMPLEMENTATION FROM ENVIRONMENT
+// ============================================================================
+
+/**
+ * With REDIS_ENABLED=true the default is 'redis' - several processes
+ * with a memory or file store would each see only their own messages
+ */
+function createMessageStore(type = process.env.MESSAGE_STORE || (redisEnabled ? 'redis' : 'memory')) {
+  const capacity = parseInt(process.env.MESSAGE_STORE_CAPACITY, 10) || DEFAULT_CAPACITY;
+
+  if (type === 'file') {
+    return createFileMessageStore({
+      filePath: path.resolve(process.env.MESSAGE_STORE_FILE || './data/messages.json'),
+      capacity
+    });
+  }
+
+  if (type === 'redis') {
+    if (!redisEnabled) {
+      logger.warn('MESSAGE_STORE=redis needs REDIS_ENABLED=true, falling back to memory');
+      return createMemoryMessageStore({ capacity });
+    }
+
+    return createRedisMessageStore(getSharedRedisClient(), { capacity });
+  }
+
+  if (type !== 'memory') {
+    logger.warn('Unknown MESSAGE_STORE, falling back to memory', { type });
+  }
+
+  return createMemoryMessageStore({ capacity });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+/**
+ * One shared store for the whole app. The factories are exported too,
+ * so you can create extra stores in scripts or tests.
+ */
+
+exports.messageStore = createMessageStore();
+exports.createMessageStore = createMessageStore;
+exports.createMemoryMessageStore = createMemoryMessageStore;
+exports.createFileMessageStore = createFileMessageStore;
+exports.createRedisMessageStore = createRedisMessageStore;
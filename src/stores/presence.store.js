@@ -0,0 +1,227 @@
+/**
+ * PRESENCE STORE
+ *
+ * Remembers who is connected right now, and whether they are
+ * at their keyboard ('online') or not ('away')
+ *
+ * ONE USER, MANY CONNECTIONS:
+ * alice may have two tabs and a phone open. Each connection (socket)
+ * has its own status, and her overall status is:
+ * - 'online':  at least one connection is online
+ * - 'away':    connected, but every connection is away (e.g. tabs hidden)
+ * - 'offline': no connections at all
+ *
+ * Every method that changes something returns { previous, status },
+ * the user's overall status before and after - so the caller knows
+ * whether anyone needs to hear about it.
+ *
+ * TWO IMPLEMENTATIONS (same methods, so they are interchangeable):
+ * - memory: A Map inside this process (default)
+ * - redis:  Shared by every server process (REDIS_ENABLED=true)
+ */
+
+const { redisEnabled, getSharedRedisClient } = require('../utils/redis');
+
+const PRESENCE_STATUSES = ['online', 'away'];
+
+/**
+ * Overall status from the statuses of all connections
+ *
+ * combineStatuses(['away', 'online']) → 'online'
+ * combineStatuses(['away'])           → 'away'
+ * combineStatuses([])                 → 'offline'
+ */
+function combineStatuses(statuses) {
+  if (statuses.length === 0) return 'offline';
+  return statuses.includes('online') ? 'online' : 'away';
+}
+
+// ============================================================================
+// IN-MEMORY STORE
+// ============================================================================
+
+/**
+ * Map<userId, { username, connections: Map<socketId, status> }>
+ *
+ * Users without connections are removed, so the map only
+ * contains users who are online or away.
+ */
+
+function createMemoryPresenceStore() {
+  const users = new Map();
+
+  const statusOf = (userId) => combineStatuses(
+    users.has(userId) ? Array.from(users.get(userId).connections.values()) : []
+  );
+
+  return {
+    /**
+     * Add a connection, or change its status ('online' | 'away')
+     */
+    async setConnectionStatus({ userId, username }, socketId, status) {
+      const previous = statusOf(userId);
+
+      if (!users.has(userId)) {
+        users.set(userId, { username, connections: new Map() });
+      }
+      users.get(userId).connections.set(socketId, status);
+
+      return { previous, status: statusOf(userId) };
+    },
+
+    /**
+     * Remove a connection (the socket disconnected)
+     */
+    async removeConnection(userId, socketId) {
+      const previous = statusOf(userId);
+      const user = users.get(userId);
+
+      if (user) {
+        user.connections.delete(socketId);
+
+        if (user.connections.size === 0) {
+          users.delete(userId);
+        }
+      }
+
+      return { previous, status: statusOf(userId) };
+    },
+
+    async getStatus(userId) {
+      return statusOf(userId);
+    },
+
+    /**
+     * Everyone who is online or away: [{ userId, username, status }]
+     */
+    async listUsers() {
+      return Array.from(users, ([userId, user]) => ({
+        userId,
+        username: user.username,
+        status: statusOf(userId)
+      }));
+    },
+
+    async close() {}
+  };
+}
+
+// ============================================================================
+// REDIS STORE
+// ============================================================================
+
+/**
+ * REDIS DATA LAYOUT
+ *
+ * socketlink:presence            → HASH of userId → username (everyone connected)
+ * socketlink:presence:<userId>   → HASH of socketId → 'online' | 'away'
+ *
+ * NOTE: If a server process crashes, its sockets never disconnect
+ * properly and their users stay "online" until they connect and
+ * disconnect again.
+ *
+ * @param {RedisClient} client - A (connected or connecting) Redis client
+ */
+
+const USERS_KEY = 'socketlink:presence';
+const connectionsKey = (userId) => `socketlink:presence:${userId}`;
+
+/**
+ * Lua script: set (or, with an empty status, remove) one connection
+ * and return the connection statuses before and after
+ *
+ * A script runs atomically, so two servers changing the same user at
+ * the same time can't both think they made the "first" or "last" change.
+ *
+ * KEYS: connections hash, users hash
+ * ARGV: socketId, status ('' = remove), userId, username
+ */
+const SET_CONNECTION_SCRIPT = `
+  local before = redis.call('HVALS', KEYS[1])
+
+  if ARGV[2] == '' then
+    redis.call('HDEL', KEYS[1], ARGV[1])
+  else
+    redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+    redis.call('HSET', KEYS[2], ARGV[3], ARGV[4])
+  end
+
+  local after = redis.call('HVALS', KEYS[1])
+
+  if #after == 0 then
+    redis.call('HDEL', KEYS[2], ARGV[3])
+  end
+
+  return { before, after }
+`;
+
+function createRedisPresenceStore(client) {
+  const changeConnection = async (userId, username, socketId, status) => {
+    const [before, after] = await client.eval(SET_CONNECTION_SCRIPT, {
+      keys: [connectionsKey(userId), USERS_KEY],
+      arguments: [socketId, status, userId, username]
+    });
+
+    return { previous: combineStatuses(before), status: combineStatuses(after) };
+  };
+
+  return {
+    async setConnectionStatus({ userId, username }, socketId, status) {
+      return changeConnection(userId, username, socketId, status);
+    },
+
+    async removeConnection(userId, socketId) {
+      return changeConnection(userId, '', socketId, '');
+    },
+
+    async getStatus(userId) {
+      return combineStatuses(await client.hVals(connectionsKey(userId)));
+    },
+
+    async listUsers() {
+      const usernames = await client.hGetAll(USERS_KEY);
+      const userIds = Object.keys(usernames);
+
+      if (userIds.length === 0) return [];
+
+      // One round trip for everyone's connections
+      const multi = client.multi();
+      userIds.forEach(userId => multi.hVals(connectionsKey(userId)));
+      const statuses = await multi.exec();
+
+      return userIds
+        .map((userId, index) => ({
+          userId,
+          username: usernames[userId],
+          status: combineStatuses(statuses[index])
+        }))
+        // Disconnected since we read the list
+        .filter(user => user.status !== 'offline');
+    },
+
+    // The shared connection is closed by index.js, not by each store
+    async close() {}
+  };
+}
+
+// ============================================================================
+// PICK IMPLEMENTATION FROM ENVIRONMENT
+// ============================================================================
+
+function createPresenceStore() {
+  if (!redisEnabled) {
+    return createMemoryPresenceStore();
+  }
+
+  return createRedisPresenceStore(getSharedRedisClient());
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+exports.presenceStore = createPresenceStore();
+exports.createPresenceStore = createPresenceStore;
+exports.createMemoryPresenceStore = createMemoryPresenceStore;
+exports.createRedisPresenceStore = createRedisPresenceStore;
+exports.PRESENCE_STATUSES = PRESENCE_STATUSES;
@@ -0,0 +1,137 @@
+/**
+ * READ RECEIPT STORE
+ *
+ * Remembers, for every user and room, the last message they have read
+ *
+ * WHY?
+ * - Show "seen by alice, bob" under messages (read receipts)
+ * - Count unread messages per room ("general (3)")
+ *
+ * RECEIPT SHAPE:
+ * {
+ *   userId: 'a1b2c3...',
+ *   username: 'alice',
+ *   messageId: 'lq2x...',      // Last message read
+ *   timestamp: 1705312200000,  // When that MESSAGE was sent (for unread counts)
+ *   readAt: 1705312260000      // When the user read it
+ * }
+ *
+ * TWO IMPLEMENTATIONS (same methods, so they are interchangeable):
+ * - memory: A Map inside this process (default)
+ * - redis:  Shared by every server process (REDIS_ENABLED=true)
+ */
+
+const { redisEnabled, getSharedRedisClient } = require('../utils/redis');
+
+// ============================================================================
+// IN-MEMORY STORE
+// ============================================================================
+
+/**
+ * Map<roomName, Map<userId, receipt>>
+ */
+
+function createMemoryReadReceiptStore() {
+  const receipts = new Map();
+
+  return {
+    /**
+     * Save a user's last read message in a room
+     */
+    async setLastRead(roomName, receipt) {
+      if (!receipts.has(roomName)) {
+        receipts.set(roomName, new Map());
+      }
+      receipts.get(roomName).set(receipt.userId, receipt);
+    },
+
+    /**
+     * Get a user's receipt for a room (null if they never read anything)
+     */
+    async getLastRead(roomName, userId) {
+      const roomReceipts = receipts.get(roomName);
+      return (roomReceipts && roomReceipts.get(userId)) || null;
+    },
+
+    /**
+     * Get every user's receipt for a room
+     */
+    async getRoomReceipts(roomName) {
+      return Array.from((receipts.get(roomName) || new Map()).values());
+    },
+
+    /**
+     * Forget every receipt of a room (when the room is deleted)
+     */
+    async deleteRoom(roomName) {
+      receipts.delete(roomName);
+    },
+
+    async close() {}
+  };
+}
+
+// ============================================================================
+// REDIS STORE
+// ============================================================================
+
+/**
+ * REDIS DATA LAYOUT
+ *
+ * socketlink:room:<name>:reads → HASH of userId → receipt (as JSON)
+ *
+ * A hash is like a small object stored under one key:
+ * - HSET sets one field
+ * - HGET reads one field
+ * - HVALS reads all values
+ *
+ * @param {RedisClient} client - A (connected or connecting) Redis client
+ */
+
+const readsKey = (roomName) => `socketlink:room:${roomName}:reads`;
+
+function createRedisReadReceiptStore(client) {
+  return {
+    async setLastRead(roomName, receipt) {
+      await client.hSet(readsKey(roomName), receipt.userId, JSON.stringify(receipt));
+    },
+
+    async getLastRead(roomName, userId) {
+      const json = await client.hGet(readsKey(roomName), userId);
+      return json ? JSON.parse(json) : null;
+    },
+
+    async getRoomReceipts(roomName) {
+      const values = await client.hVals(readsKey(roomName));
+      return values.map(json => JSON.parse(json));
+    },
+
+    async deleteRoom(roomName) {
+      await client.del(readsKey(roomName));
+    },
+
+    // The shared connection is closed by index.js, not by each store
+    async close() {}
+  };
+}
+
+// ============================================================================
+// PICK IMPLEMENTATION FROM ENVIRONMENT
+// ============================================================================
+
+function createReadReceiptStore() {
+  if (!redisEnabled) {
+    return createMemoryReadReceiptStore();
+  }
+
+  return createRedisReadReceiptStore(getSharedRedisClient());
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+exports.readReceiptStore = createReadReceiptStore();
+exports.createReadReceiptStore = createReadReceiptStore;
+exports.createMemoryReadReceiptStore = createMemoryReadReceiptStore;
+exports.createRedisReadReceiptStore = createRedisReadReceiptStore;
@@ -0,0 +1,484 @@
+/**
+ * ROOM STORE
+ *
+ * Keeps track of which rooms exist and who is in each room
+ *
+ * THREE IMPLEMENTATIONS (same methods, so they are interchangeable):
+ * - memory: A Map inside this process (default)
+ * - file:   Like memory, but room info is saved to a JSON file
+ *           (the default with MESSAGE_STORE=file, see createRoomStore)
+ * - redis:  Shared by every server process (REDIS_ENABLED=true)
+ *
+ * ROOM INFO:
+ * Besides its members, every room has an "info" object:
+ * {
+ *   owner: { userId, username },       // Who created it
+ *   moderators: [{ userId, username }],
+ *   visibility: 'public' | 'private',  // private = invite-only
+ *   passwordHash: '$2a$10$...' | null, // bcrypt hash if password-protected
+ *   invited: [userId, ...],            // Who may join a private room
+ *   bans: [{ userId, username, until, by }],  // until = timestamp or null (forever)
+ *   mutes: [{ userId, username, until, by }],
+ *   createdAt: 1705312200000
+ * }
+ *
+ * MEMBERS AND CONNECTIONS:
+ * One user can be in a room with several tabs/devices at once.
+ * Members are tracked per userId, with a count of their connections:
+ * - addMember() on the FIRST connection  → connections: 1 (they joined)
+ * - removeMember() on the LAST connection → connections: 0 (they left)
+ * Everything in between is just another tab, nobody needs to hear about it.
+ *
+ * WHY ARE ALL METHODS ASYNC?
+ * Talking to Redis happens over the network, so it takes time.
+ * The memory store is instant, but uses async methods too,
+ * so the socket controller works with either one without changes.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('../utils/jsonFile');
+const { redisEnabled, getSharedRedisClient } = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// IN-MEMORY STORE
+// ============================================================================
+
+/**
+ * Map<roomName, Map<userId, { username, connections }>>
+ *
+ * Example:
+ * rooms = Map {
+ *   'general' => Map {
+ *     'a1b2...' => { username: 'alice', connections: 2 },  // two tabs
+ *     'c3d4...' => { username: 'bob', connections: 1 }
+ *   },
+ *   'random' => Map { 'a1b2...' => { username: 'alice', connections: 1 } }
+ * }
+ *
+ * Keyed by userId (not username), so each user is counted once
+ * no matter how many tabs they have open.
+ */
+
+function createMemoryRoomStore() {
+  const rooms = new Map();
+  const roomInfo = new Map(); // Map<roomName, info>
+
+  return {
+    async listRooms() {
+      return Array.from(rooms.keys());
+    },
+
+    async hasRoom(roomName) {
+      return rooms.has(roomName);
+    },
+
+    /**
+     * Returns true if the room was created, false if it already existed
+     */
+    async createRoom(roomName, info) {
+      if (rooms.has(roomName)) return false;
+      rooms.set(roomName, new Map());
+      roomInfo.set(roomName, info);
+      return true;
+    },
+
+    /**
+     * Get a room's info (owner, moderators, ...) or null if unknown
+     */
+    async getRoomInfo(roomName) {
+      // Return a copy, so changes only count after setRoomInfo()
+      // (just like Redis, where you always get a fresh copy)
+      return roomInfo.has(roomName) ? structuredClone(roomInfo.get(roomName)) : null;
+    },
+
+    /**
+     * Replace a room's info (e.g. after adding a moderator)
+     */
+    async setRoomInfo(roomName, info) {
+      if (rooms.has(roomName)) {
+        roomInfo.set(roomName, info);
+      }
+    },
+
+    /**
+     * Add one connection of a user to a room
+     *
+     * Returns { connections, userCount }:
+     * - connections: this user's connections in the room (1 = they just joined)
+     * - userCount:   number of different users in the room
+     *
+     * or null if the room does not exist (e.g. it was deleted after
+     * the caller looked it up) - rooms are only made by createRoom()
+     */
+    async addMember(roomName, { userId, username }) {
+      if (!rooms.has(roomName)) return null;
+
+      const members = rooms.get(roomName);
+      const member = members.get(userId) || { username, connections: 0 };
+
+      member.connections += 1;
+      members.set(userId, member);
+
+      return { connections: member.connections, userCount: members.size };
+    },
+
+    /**
+     * Remove one connection of a user from a room
+     * (or all of them with { everyConnection: true }, e.g. when kicked)
+     *
+     * Returns { connections, userCount } (connections: 0 = they left),
+     * or null if the room does not exist or the user wasn't in it
+     */
+    async removeMember(roomName, userId, { everyConnection = false } = {}) {
+      const members = rooms.get(roomName);
+      if (!members || !members.has(userId)) return null;
+
+      const member = members.get(userId);
+      member.connections = everyConnection ? 0 : member.connections - 1;
+
+      if (member.connections <= 0) {
+        members.delete(userId);
+      }
+
+      return { connections: Math.max(member.connections, 0), userCount: members.size };
+    },
+
+    /**
+     * Usernames of everyone in the room (each user once)
+     */
+    async getMembers(roomName) {
+      return Array.from((rooms.get(roomName) || new Map()).values(), member => member.username);
+    },
+
+    async isMember(roomName, userId) {
+      return Boolean(rooms.get(roomName) && rooms.get(roomName).has(userId));
+    },
+
+    /**
+     * Delete a room, but ONLY if nobody is in it
+     * Returns true if the room was deleted
+     */
+    async deleteRoomIfEmpty(roomName) {
+      if (!rooms.has(roomName) || rooms.get(roomName).size > 0) return false;
+      rooms.delete(roomName);
+      roomInfo.delete(roomName);
+      return true;
+    },
+
+    /**
+     * Export every room's info (used by the file store when saving)
+     * Members are left out - their connections don't survive a restart
+     */
+    toJSON() {
+      return Object.fromEntries(roomInfo);
+    },
+
+    /**
+     * Import room info (used by the file store when loading from disk)
+     * The rooms start without members
+     */
+    load(data) {
+      Object.entries(data).forEach(([roomName, info]) => {
+        rooms.set(roomName, new Map());
+        roomInfo.set(roomName, info);
+      });
+    },
+
+    // Nothing to write for the memory store - these exist so both
+    // stores have the same methods
+    flush() {
+      return Promise.resolve();
+    },
+
+    async close() {}
+  };
+}
+
+// ============================================================================
+// FILE-BACKED STORE
+// ============================================================================
+
+/**
+ * FILE STORE
+ *
+ * Works exactly like the memory store, but saves every room's info
+ * (owner, moderators, visibility, password, invitations, bans, mutes)
+ * to a JSON file, and loads it again on startup.
+ *
+ * WHY?
+ * With MESSAGE_STORE=file the history survives a restart. If the rooms
+ * didn't, whoever created a room with the same name first would own it,
+ * and a private room's messages would be open to anyone.
+ *
+ * ⚠️ If the file exists but cannot be read, we STOP instead of starting
+ * with no rooms - otherwise the next save would overwrite every room.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Where to save the rooms
+ */
+
+function createFileRoomStore({ filePath }) {
+  const store = createMemoryRoomStore();
+  const file = createJsonFile(filePath, () => store.toJSON());
+
+  const data = file.read();
+
+  if (data) {
+    const valid = typeof data === 'object' && !Array.isArray(data) &&
+      Object.values(data).every(info => info && typeof info === 'object' && info.owner);
+
+    if (!valid) {
+      throw new Error(`Unsupported room file format: ${filePath}`);
+    }
+
+    store.load(data);
+    logger.info('Loaded rooms', { count: Object.keys(data).length, filePath });
+  }
+
+  return {
+    ...store,
+
+    async createRoom(roomName, info) {
+      const created = await store.createRoom(roomName, info);
+      if (created) {
+        file.scheduleSave();
+      }
+      return created;
+    },
+
+    async setRoomInfo(roomName, info) {
+      await store.setRoomInfo(roomName, info);
+      file.scheduleSave();
+    },
+
+    async deleteRoomIfEmpty(roomName) {
+      const deleted = await store.deleteRoomIfEmpty(roomName);
+      if (deleted) {
+        file.scheduleSave();
+      }
+      return deleted;
+    },
+
+    flush() {
+      return file.flush();
+    },
+
+    close() {
+      return file.flush();
+    }
+  };
+}
+
+// ============================================================================
+// REDIS STORE
+// ============================================================================
+
+/**
+ * REDIS DATA LAYOUT
+ *
+ * socketlink:rooms                     → SET of room names
+ * socketlink:room:<name>:members       → HASH of userId → username
+ * socketlink:room:<name>:connections   → HASH of userId → number of connections
+ * socketlink:room:<name>:info          → STRING with the room info as JSON
+ *
+ * Redis sets work just like JavaScript Sets:
+ * - SADD adds (returns 1 if new, 0 if already there)
+ * - SMEMBERS lists
+ *
+ * Hashes are like small objects:
+ * - HSET / HDEL set and delete a field
+ * - HINCRBY adds to a number field (atomic, so two servers can't lose a count)
+ * - HLEN counts fields (= number of users)
+ *
+ * Every server process reads and writes the SAME keys,
+ * so `get_rooms` returns the same list no matter which server you hit.
+ *
+ * @param {RedisClient} client - A (connected or connecting) Redis client
+ */
+
+const ROOMS_KEY = 'socketlink:rooms';
+const membersKey = (roomName) => `socketlink:room:${roomName}:members`;
+const connectionsKey = (roomName) => `socketlink:room:${roomName}:connections`;
+const infoKey = (roomName) => `socketlink:room:${roomName}:info`;
+
+/**
+ * Lua script: delete the room only if its member set is empty
+ *
+ * WHY A SCRIPT?
+ * Redis runs scripts atomically. If we did "count, then delete" as two
+ * commands, another server could add a user in between and we would
+ * delete a room that someone just joined.
+ */
+const DELETE_IF_EMPTY_SCRIPT = `
+  if redis.call('HLEN', KEYS[2]) == 0 then
+    redis.call('DEL', KEYS[2], KEYS[3], KEYS[4])
+    return redis.call('SREM', KEYS[1], ARGV[1])
+  end
+  return 0
+`;
+
+/**
+ * Lua script: add one connection of a user, but ONLY if the room exists
+ *
+ * Atomic, so a room deleted by another server in the meantime is not
+ * brought back as a room without info (nobody could own or join it).
+ *
+ * Returns nil if the room doesn't exist, else { connections, userCount }
+ */
+const ADD_MEMBER_SCRIPT = `
+  if redis.call('EXISTS', KEYS[4]) == 0 then
+    return nil
+  end
+
+  redis.call('SADD', KEYS[1], ARGV[1])
+  redis.call('HSET', KEYS[2], ARGV[2], ARGV[3])
+  local connections = redis.call('HINCRBY', KEYS[3], ARGV[2], 1)
+
+  return { connections, redis.call('HLEN', KEYS[2]) }
+`;
+
+/**
+ * Lua script: remove one connection (or all of them) of a user
+ *
+ * Atomic for the same reason: "decrement, then delete if zero" must not
+ * mix with another server adding a connection in between.
+ *
+ * Returns nil if the user wasn't in the room, else { connections, userCount }
+ */
+const REMOVE_MEMBER_SCRIPT = `
+  if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 0 or
+     redis.call('HEXISTS', KEYS[2], ARGV[2]) == 0 then
+    return nil
+  end
+
+  local connections = 0
+  if ARGV[3] ~= '1' then
+    connections = redis.call('HINCRBY', KEYS[3], ARGV[2], -1)
+  end
+
+  if connections <= 0 then
+    connections = 0
+    redis.call('HDEL', KEYS[2], ARGV[2])
+    redis.call('HDEL', KEYS[3], ARGV[2])
+  end
+
+  return { connections, redis.call('HLEN', KEYS[2]) }
+`;
+
+function createRedisRoomStore(client) {
+  return {
+    async listRooms() {
+      return client.sMembers(ROOMS_KEY);
+    },
+
+    async hasRoom(roomName) {
+      return client.sIsMember(ROOMS_KEY, roomName);
+    },
+
+    async createRoom(roomName, info) {
+      // SET ... NX = only if the key doesn't exist yet (atomic "check and create")
+      const created = await client.set(infoKey(roomName), JSON.stringify(info), { NX: true });
+      if (created !== 'OK') return false;
+
+      await client.sAdd(ROOMS_KEY, roomName);
+      return true;
+    },
+
+    async getRoomInfo(roomName) {
+      const json = await client.get(infoKey(roomName));
+      return json ? JSON.parse(json) : null;
+    },
+
+    async setRoomInfo(roomName, info) {
+      // XX = only if the key already exists (don't resurrect deleted rooms)
+      await client.set(infoKey(roomName), JSON.stringify(info), { XX: true });
+    },
+
+    async addMember(roomName, { userId, username }) {
+      const result = await client.eval(ADD_MEMBER_SCRIPT, {
+        keys: [ROOMS_KEY, membersKey(roomName), connectionsKey(roomName), infoKey(roomName)],
+        arguments: [roomName, userId, username]
+      });
+
+      if (!result) return null;
+
+      const [connections, userCount] = result;
+      return { connections, userCount };
+    },
+
+    async removeMember(roomName, userId, { everyConnection = false } = {}) {
+      const result = await client.eval(REMOVE_MEMBER_SCRIPT, {
+        keys: [ROOMS_KEY, membersKey(roomName), connectionsKey(roomName)],
+        arguments: [roomName, userId, everyConnection ? '1' : '0']
+      });
+
+      if (!result) return null;
+
+      const [connections, userCount] = result;
+      return { connections, userCount };
+    },
+
+    async getMembers(roomName) {
+      return client.hVals(membersKey(roomName));
+    },
+
+    async isMember(roomName, userId) {
+      return client.hExists(membersKey(roomName), userId);
+    },
+
+    async deleteRoomIfEmpty(roomName) {
+      const deleted = await client.eval(DELETE_IF_EMPTY_SCRIPT, {
+        keys: [ROOMS_KEY, membersKey(roomName), connectionsKey(roomName), infoKey(roomName)],
+        arguments: [roomName]
+      });
+      return deleted === 1;
+    },
+
+    // Every change is written right away - nothing to flush
+    async flush() {},
+
+    // The shared connection is closed by index.js, not by each store
+    async close() {}
+  };
+}
+
+// ============================================================================
+// PICK IMPLEMENTATION FROM ENVIRONMENT
+// ============================================================================
+
+/**
+ * With REDIS_ENABLED=true rooms are always in Redis (every process
+ * must see the same members). Otherwise ROOM_STORE picks memory or file,
+ * and defaults to file when the message history is kept in a file -
+ * so a room's owner and access rules are kept next to its messages.
+ */
+function createRoomStore() {
+  if (redisEnabled) {
+    return createRedisRoomStore(getSharedRedisClient());
+  }
+
+  const type = process.env.ROOM_STORE || (process.env.MESSAGE_STORE === 'file' ? 'file' : 'memory');
+
+  if (type === 'file') {
+    return createFileRoomStore({
+      filePath: path.resolve(process.env.ROOM_STORE_FILE || './data/rooms.json')
+    });
+  }
+
+  if (type !== 'memory') {
+    logger.warn('Unknown ROOM_STORE, falling back to memory', { type });
+  }
+
+  return createMemoryRoomStore();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+exports.roomStore = createRoomStore();
+exports.createRoomStore = createRoomStore;
+exports.createMemoryRoomStore = createMemoryRoomStore;
+exports.createFileRoomStore = createFileRoomStore;
+exports.createRedisRoomStore = createRedisRoomStore;
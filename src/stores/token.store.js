@@ -0,0 +1,332 @@
+/**
+ * TOKEN STORE
+ *
+ * Keeps track of login sessions, refresh tokens and revoked sessions
+ *
+ * WHY DO WE NEED THIS?
+ * JWTs are "stateless": once issued, they stay valid until they expire.
+ * That means we can't log someone out or take away a stolen token.
+ *
+ * SOLUTION (what most real apps do):
+ * - ACCESS TOKEN: A JWT that expires quickly (15 minutes)
+ * - REFRESH TOKEN: A random string, stored here, used to get new access tokens
+ * - SESSION: Every login creates a session (sessionId is inside both tokens)
+ * - REVOCATION LIST: Sessions that were logged out. The auth middlewares
+ *   reject any access token whose session is on this list.
+ *
+ * ROTATION:
+ * Every time a refresh token is used, it is deleted and a NEW one is issued.
+ * If an OLD (already used) refresh token shows up again, someone copied it,
+ * so we revoke the whole session to be safe.
+ *
+ * TWO IMPLEMENTATIONS (same methods, so they are interchangeable):
+ * - memory: Maps inside this process (default). Restarting the server
+ *           logs everybody out (their refresh tokens are gone).
+ * - redis:  Shared by every server process (REDIS_ENABLED=true), so a
+ *           refresh token works on any server, and a logout on one server
+ *           is seen by all of them
+ *
+ * Either way, onSessionRevoked() listeners only run in the process that
+ * revoked the session - index.js disconnects the session's sockets on
+ * EVERY process through a Socket.IO room (see utils/channels.js).
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { redisEnabled, getSharedRedisClient } = require('../utils/redis');
+
+// How long tokens are valid (in seconds)
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;          // 15 minutes
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60; // 7 days
+
+// How often expired entries are cleaned up
+const CLEANUP_INTERVAL = 60 * 1000;
+
+/**
+ * We never store refresh tokens as-is, only their SHA-256 hash
+ * (same idea as password hashing: a leaked store can't be used to log in)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Methods both implementations share (they don't store anything)
+ */
+function createBaseStore() {
+  const events = new EventEmitter();
+
+  return {
+    events,
+
+    accessTokenTtl: ACCESS_TOKEN_TTL,
+    refreshTokenTtl: REFRESH_TOKEN_TTL,
+
+    /**
+     * Start a new login session
+     */
+    createSessionId() {
+      return crypto.randomBytes(16).toString('hex');
+    },
+
+    /**
+     * Run `listener(sessionId)` whenever a session is revoked (in this process)
+     */
+    onSessionRevoked(listener) {
+      events.on('session_revoked', listener);
+    }
+  };
+}
+
+// ============================================================================
+// IN-MEMORY STORE
+// ============================================================================
+
+function createMemoryTokenStore() {
+  /**
+   * refreshTokens: Map<tokenHash, { userId, username, sessionId, expiresAt }>
+   * usedTokens:    Map<tokenHash, { sessionId, expiresAt }>  (rotated tokens, for reuse detection)
+   * revokedSessions: Map<sessionId, expiresAt>
+   */
+  const refreshTokens = new Map();
+  const usedTokens = new Map();
+  const revokedSessions = new Map();
+
+  const { events, ...base } = createBaseStore();
+
+  // -------------------------------------------------------------------------
+  // CLEANUP
+  // -------------------------------------------------------------------------
+
+  /**
+   * Remove entries that expired (so memory doesn't grow forever)
+   * unref() = this timer alone won't keep the process running
+   */
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+
+    [refreshTokens, usedTokens].forEach(map => {
+      map.forEach((record, key) => {
+        if (record.expiresAt <= now) map.delete(key);
+      });
+    });
+
+    revokedSessions.forEach((expiresAt, sessionId) => {
+      if (expiresAt <= now) revokedSessions.delete(sessionId);
+    });
+  }, CLEANUP_INTERVAL).unref();
+
+  const store = {
+    ...base,
+
+    /**
+     * Create and store a refresh token for a session
+     * Returns the token (the only time we ever see it in plain form)
+     */
+    async createRefreshToken({ userId, username, sessionId }) {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      refreshTokens.set(hashToken(token), {
+        userId,
+        username,
+        sessionId,
+        expiresAt: Date.now() + REFRESH_TOKEN_TTL * 1000
+      });
+
+      return token;
+    },
+
+    /**
+     * Use up a refresh token (it can only be used ONCE)
+     *
+     * Returns:
+     * - { userId, username, sessionId } if the token is valid
+     * - null if it is unknown, expired or was already used
+     *   (already used = possible theft → the session gets revoked)
+     */
+    async consumeRefreshToken(token) {
+      const tokenHash = hashToken(token);
+      const record = refreshTokens.get(tokenHash);
+
+      if (!record) {
+        const used = usedTokens.get(tokenHash);
+
+        if (used) {
+          logger.warn('Refresh token reused - revoking session', { sessionId: used.sessionId });
+          await store.revokeSession(used.sessionId);
+        }
+
+        return null;
+      }
+
+      refreshTokens.delete(tokenHash);
+
+      if (record.expiresAt <= Date.now() || revokedSessions.has(record.sessionId)) {
+        return null;
+      }
+
+      usedTokens.set(tokenHash, {
+        sessionId: record.sessionId,
+        expiresAt: record.expiresAt
+      });
+
+      return {
+        userId: record.userId,
+        username: record.username,
+        sessionId: record.sessionId
+      };
+    },
+
+    /**
+     * Log out a session:
+     * - Delete its refresh tokens (can't get new access tokens)
+     * - Put it on the revocation list (current access tokens stop working)
+     * - Tell listeners, so live sockets of this session get disconnected
+     */
+    async revokeSession(sessionId) {
+      refreshTokens.forEach((record, tokenHash) => {
+        if (record.sessionId === sessionId) refreshTokens.delete(tokenHash);
+      });
+
+      // Access tokens live at most ACCESS_TOKEN_TTL, so after that
+      // we don't need to remember the revocation anymore
+      revokedSessions.set(sessionId, Date.now() + ACCESS_TOKEN_TTL * 1000);
+
+      events.emit('session_revoked', sessionId);
+    },
+
+    async isSessionRevoked(sessionId) {
+      return revokedSessions.has(sessionId);
+    },
+
+    async close() {
+      clearInterval(cleanupTimer);
+    }
+  };
+
+  return store;
+}
+
+// ============================================================================
+// REDIS STORE
+// ============================================================================
+
+/**
+ * REDIS DATA LAYOUT
+ *
+ * socketlink:refresh:<tokenHash>       → STRING { userId, username, sessionId, expiresAt } as JSON
+ * socketlink:refresh-used:<tokenHash>  → STRING sessionId (rotated tokens, for reuse detection)
+ * socketlink:session:<id>:refresh      → SET of the session's tokenHashes (to delete them on logout)
+ * socketlink:revoked:<id>              → STRING '1' (the session was logged out)
+ *
+ * Every key expires by itself (PX / EX), so there's nothing to clean up:
+ * refresh tokens when they expire, revocations after ACCESS_TOKEN_TTL.
+ *
+ * @param {RedisClient} client - A (connected or connecting) Redis client
+ */
+
+const refreshKey = (tokenHash) => `socketlink:refresh:${tokenHash}`;
+const usedKey = (tokenHash) => `socketlink:refresh-used:${tokenHash}`;
+const sessionTokensKey = (sessionId) => `socketlink:session:${sessionId}:refresh`;
+const revokedKey = (sessionId) => `socketlink:revoked:${sessionId}`;
+
+function createRedisTokenStore(client) {
+  const { events, ...base } = createBaseStore();
+
+  const store = {
+    ...base,
+
+    async createRefreshToken({ userId, username, sessionId }) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const tokenHash = hashToken(token);
+      const expiresAt = Date.now() + REFRESH_TOKEN_TTL * 1000;
+
+      await client.multi()
+        .set(refreshKey(tokenHash), JSON.stringify({ userId, username, sessionId, expiresAt }), {
+          PX: REFRESH_TOKEN_TTL * 1000
+        })
+        .sAdd(sessionTokensKey(sessionId), tokenHash)
+        .expire(sessionTokensKey(sessionId), REFRESH_TOKEN_TTL)
+        .exec();
+
+      return token;
+    },
+
+    async consumeRefreshToken(token) {
+      const tokenHash = hashToken(token);
+
+      // GETDEL = read and delete in one step, so two servers
+      // can't both use the same refresh token
+      const json = await client.getDel(refreshKey(tokenHash));
+
+      if (!json) {
+        const usedSessionId = await client.get(usedKey(tokenHash));
+
+        if (usedSessionId) {
+          logger.warn('Refresh token reused - revoking session', { sessionId: usedSessionId });
+          await store.revokeSession(usedSessionId);
+        }
+
+        return null;
+      }
+
+      const record = JSON.parse(json);
+
+      await client.sRem(sessionTokensKey(record.sessionId), tokenHash);
+
+      if (record.expiresAt <= Date.now() || await store.isSessionRevoked(record.sessionId)) {
+        return null;
+      }
+
+      await client.set(usedKey(tokenHash), record.sessionId, { PXAT: record.expiresAt });
+
+      return {
+        userId: record.userId,
+        username: record.username,
+        sessionId: record.sessionId
+      };
+    },
+
+    async revokeSession(sessionId) {
+      const tokenHashes = await client.sMembers(sessionTokensKey(sessionId));
+
+      await client.multi()
+        .del([sessionTokensKey(sessionId), ...tokenHashes.map(refreshKey)])
+        .set(revokedKey(sessionId), '1', { EX: ACCESS_TOKEN_TTL })
+        .exec();
+
+      events.emit('session_revoked', sessionId);
+    },
+
+    async isSessionRevoked(sessionId) {
+      return (await client.exists(revokedKey(sessionId))) === 1;
+    },
+
+    // The shared connection is closed by index.js, not by each store
+    async close() {}
+  };
+
+  return store;
+}
+
+// ============================================================================
+// PICK IMPLEMENTATION FROM ENVIRONMENT
+// ============================================================================
+
+function createTokenStore() {
+  if (!redisEnabled) {
+    return createMemoryTokenStore();
+  }
+
+  return createRedisTokenStore(getSharedRedisClient());
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+exports.tokenStore = createTokenStore();
+exports.createTokenStore = createTokenStore;
+exports.createMemoryTokenStore = createMemoryTokenStore;
+exports.createRedisTokenStore = createRedisTokenStore;
@@ -0,0 +1,233 @@
+/**
+ * USER STORE (USER REPOSITORY)
+ *
+ * Saves and looks up user accounts
+ *
+ * WHAT IS A REPOSITORY?
+ * - An object that hides WHERE data is stored
+ * - The auth controller just calls findByUsername(), create(), list()
+ * - Whether users live in memory, a file or a database is decided here
+ *
+ * TWO IMPLEMENTATIONS (same methods, so they are interchangeable):
+ * - memory: Users live in a Map (lost on restart!)
+ * - file:   Same as memory, but also saved to a JSON file on disk
+ *
+ * Pick one with the USER_STORE environment variable:
+ *   USER_STORE=memory   (default)
+ *   USER_STORE=file     (uses USER_STORE_FILE, default ./data/users.json)
+ *
+ * USER RECORD SHAPE:
+ * {
+ *   userId: 'l3k5j2h4g9',
+ *   username: 'alice',
+ *   password: '$2a$10$...',            // bcrypt hash, never plain text
+ *   createdAt: '2024-01-15T10:30:00.000Z'
+ * }
+ *
+ * All methods are async, so a database implementation can be added later
+ * without changing the auth controller.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+// Version of the file format written by the file store
+const FILE_VERSION = 1;
+
+// ============================================================================
+// IN-MEMORY STORE
+// ============================================================================
+
+/**
+ * Map<username, userObject>
+ * Example: users.get('alice') → { userId: '123', username: 'alice', ... }
+ */
+
+function createMemoryUserStore() {
+  const users = new Map();
+
+  return {
+    async findByUsername(username) {
+      return users.get(username) || null;
+    },
+
+    async findById(userId) {
+      for (const user of users.values()) {
+        if (user.userId === userId) return user;
+      }
+      return null;
+    },
+
+    /**
+     * Save a new user
+     * Returns false if the username is already taken
+     */
+    async create(user) {
+      if (users.has(user.username)) return false;
+      users.set(user.username, user);
+      return true;
+    },
+
+    async list() {
+      return Array.from(users.values());
+    },
+
+    /**
+     * Load many users at once (used by the file store)
+     */
+    load(records) {
+      records.forEach(user => users.set(user.username, user));
+    },
+
+    // Nothing to write for the memory store - these exist so both
+    // stores have the same methods
+    flush() {
+      return Promise.resolve();
+    },
+
+    close() {
+      return Promise.resolve();
+    },
+
+    /**
+     * Is the store working? (see GET /api/health/ready)
+     * Memory can't fail - it's here so every store can be asked
+     */
+    async checkHealth() {
+      return { status: 'up', type: 'memory' };
+    }
+  };
+}
+
+// ============================================================================
+// MIGRATION (OLD FILE FORMATS → CURRENT FORMAT)
+// ============================================================================
+
+/**
+ * Converts whatever is in the file into a list of valid user records
+ *
+ * Supported formats:
+ * - Current:  { version: 1, users: [user, user, ...] }
+ * - Array:    [user, user, ...]
+ * - Map dump: { alice: user, bob: user, ... }
+ *             (what you get from Object.fromEntries(users) of the old Map)
+ *
+ * Records missing userId, username or password are skipped (with a warning),
+ * and a missing createdAt is filled in, so old data keeps working.
+ */
+
+function migrateUsers(data) {
+  let records;
+
+  if (Array.isArray(data)) {
+    records = data;
+  } else if (data && data.version === FILE_VERSION && Array.isArray(data.users)) {
+    records = data.users;
+  } else if (data && typeof data === 'object' && data.version === undefined) {
+    records = Object.values(data);
+  } else {
+    throw new Error(`Unsupported user file format (version: ${data && data.version})`);
+  }
+
+  return records
+    .filter(user => {
+      const valid = user && user.userId && user.username && user.password;
+      if (!valid) {
+        logger.warn('Skipping invalid user record', { username: user && user.username });
+      }
+      return valid;
+    })
+    .map(user => ({
+      userId: String(user.userId),
+      username: String(user.username),
+      password: user.password,
+      createdAt: user.createdAt || new Date().toISOString()
+    }));
+}
+
+// ============================================================================
+// FILE-BACKED STORE
+// ============================================================================
+
+/**
+ * FILE STORE
+ *
+ * Works exactly like the memory store, but:
+ * - Loads (and migrates) existing users from a JSON file on startup
+ * - Saves to the file after every new user (batched, see utils/jsonFile.js)
+ *
+ * ⚠️ If the file exists but cannot be read, we STOP instead of starting
+ * with zero users - otherwise the next save would overwrite every account.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Where to save the users
+ */
+
+function createFileUserStore({ filePath }) {
+  const store = createMemoryUserStore();
+  const file = createJsonFile(filePath, async () => ({
+    version: FILE_VERSION,
+    users: await store.list()
+  }));
+
+  const data = file.read();
+
+  if (data) {
+    const records = migrateUsers(data);
+    store.load(records);
+    logger.info('Loaded users', { count: records.length, filePath });
+  }
+
+  return {
+    ...store,
+
+    async create(user) {
+      const created = await store.create(user);
+      if (created) {
+        file.scheduleSave();
+      }
+      return created;
+    },
+
+    flush() {
+      return file.flush();
+    },
+
+    close() {
+      return file.flush();
+    },
+
+    async checkHealth() {
+      return { type: 'file', ...(await file.check()) };
+    }
+  };
+}
+
+// ============================================================================
+// PICK IMPLEMENTATION FROM ENVIRONMENT
+// ============================================================================
+
+function createUserStore(type = process.env.USER_STORE || 'memory') {
+  if (type === 'file') {
+    return createFileUserStore({
+      filePath: path.resolve(process.env.USER_STORE_FILE || './data/users.json')
+    });
+  }
+
+  if (type !== 'memory') {
+    logger.warn('Unknown USER_STORE, falling back to memory', { type });
+  }
+
+  return createMemoryUserStore();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+exports.userStore = createUserStore();
+exports.createUserStore = createUserStore;
+exports.createMemoryUserStore = createMemoryUserStore;
+exports.createFileUserStore = createFileUserStore;
+exports.migrateUsers = migrateUsers;
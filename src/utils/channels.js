@@ -0,0 +1,80 @@
+/**
+ * CHANNEL NAMES
+ *
+ * Besides chat rooms, the server uses a few "internal" names:
+ *
+ * - user:<userId>
+ *   A Socket.IO room that EVERY socket of a user joins when it connects.
+ *   io.to('user:123').emit(...) reaches all tabs/devices of that user,
+ *   even on other server processes (thanks to the Redis adapter).
+ *
+ * - session:<sessionId>
+ *   A Socket.IO room of every socket logged in with one session (one login).
+ *   On logout, io.in('session:abc').disconnectSockets() disconnects them
+ *   on every server process, not just the one that handled the logout.
+ *
+ * - dm:<userIdA>:<userIdB>
+ *   The key under which a private conversation is saved in the message store.
+ *   The two IDs are sorted, so alice→bob and bob→alice share one history.
+ *
+ * Chat rooms can NOT use these prefixes, otherwise anyone could
+ * join_room 'user:123' and read someone else's private messages.
+ */
+
+const USER_PREFIX = 'user:';
+const SESSION_PREFIX = 'session:';
+const CONVERSATION_PREFIX = 'dm:';
+
+/**
+ * Socket.IO room containing every socket of one user
+ */
+function userChannel(userId) {
+  return `${USER_PREFIX}${userId}`;
+}
+
+/**
+ * Socket.IO room containing every socket of one login session
+ */
+function sessionChannel(sessionId) {
+  return `${SESSION_PREFIX}${sessionId}`;
+}
+
+/**
+ * Message store key of the private conversation between two users
+ */
+function conversationId(userIdA, userIdB) {
+  return CONVERSATION_PREFIX + [userIdA, userIdB].sort().join(':');
+}
+
+/**
+ * Is this name reserved for internal use? (not allowed as a room name)
+ */
+function isReservedName(name) {
+  return typeof name === 'string' &&
+    (name.startsWith(USER_PREFIX) ||
+      name.startsWith(SESSION_PREFIX) ||
+      name.startsWith(CONVERSATION_PREFIX));
+}
+
+/**
+ * Chat rooms with sockets connected to THIS process, and how many
+ * Map<roomName, socketCount> (used by GET /metrics and GET /api/health/ready)
+ *
+ * The adapter's room list also has every socket's own room (named after
+ * its ID) and the user: and session: channels - those are skipped.
+ *
+ * @param {SocketIO.Server} io
+ */
+function chatRoomSizes(io) {
+  const { sockets, adapter } = io.of('/');
+  const sizes = new Map();
+
+  adapter.rooms.forEach((socketIds, roomName) => {
+    if (sockets.has(roomName) || isReservedName(roomName)) return;
+    sizes.set(roomName, socketIds.size);
+  });
+
+  return sizes;
+}
+
+module.exports = { userChannel, sessionChannel, conversationId, isReservedName, chatRoomSizes };
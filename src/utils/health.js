@@ -0,0 +1,97 @@
+/**
+ * HEALTH STATE
+ *
+ * Answers two questions for GET /api/health/live and /api/health/ready
+ * (see controllers/health.controller.js):
+ *
+ * 1. Are we shutting down?
+ *    shutdown() in index.js calls markShuttingDown() FIRST, so a load
+ *    balancer stops sending new users here while we finish up.
+ *
+ * 2. Is everything we depend on working?
+ *    Every dependency registers a check (in index.js):
+ *
+ *    addHealthCheck('userStore', () => userStore.checkHealth());
+ *
+ *    A check returns { status: 'up' | 'down' | 'disabled', ...details }.
+ *    Throwing, or taking longer than HEALTH_CHECK_TIMEOUT, counts as 'down'.
+ */
+
+// A check that takes longer than this is 'down' (e.g. Redis not answering)
+const HEALTH_CHECK_TIMEOUT = parseInt(process.env.HEALTH_CHECK_TIMEOUT, 10) || 2000;
+
+let shuttingDown = false;
+
+// Map<name, check function> (checks run in the order they were added)
+const checks = new Map();
+
+// ============================================================================
+// SHUTDOWN
+// ============================================================================
+
+function markShuttingDown() {
+  shuttingDown = true;
+}
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// ============================================================================
+// DEPENDENCY CHECKS
+// ============================================================================
+
+/**
+ * @param {string} name - Shown in the readiness response (e.g. 'redisAdapter')
+ * @param {Function} check - Returns (a Promise of) { status, ...details }
+ */
+function addHealthCheck(name, check) {
+  checks.set(name, check);
+}
+
+/**
+ * Run one check, but never wait longer than HEALTH_CHECK_TIMEOUT
+ */
+async function runCheck(check) {
+  let timer;
+
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(
+      () => resolve({ status: 'down', error: `No answer within ${HEALTH_CHECK_TIMEOUT}ms` }),
+      HEALTH_CHECK_TIMEOUT
+    );
+  });
+
+  try {
+    return await Promise.race([Promise.resolve().then(check), timeout]);
+  } catch (error) {
+    return { status: 'down', error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run every check at once
+ *
+ * Returns { ok, checks }:
+ * - ok:     true if no check is 'down'
+ * - checks: { userStore: { status: 'up', type: 'memory' }, redisAdapter: {...}, ... }
+ */
+async function runHealthChecks() {
+  const names = Array.from(checks.keys());
+  const results = await Promise.all(names.map(name => runCheck(checks.get(name))));
+
+  return {
+    ok: results.every(result => result.status !== 'down'),
+    checks: Object.fromEntries(names.map((name, index) => [name, results[index]]))
+  };
+}
+
+module.exports = {
+  markShuttingDown,
+  isShuttingDown,
+  addHealthCheck,
+  runHealthChecks,
+  HEALTH_CHECK_TIMEOUT
+};
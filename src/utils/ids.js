@@ -0,0 +1,17 @@
+/**
+ * ID HELPERS
+ */
+
+/**
+ * Generate unique message ID
+ *
+ * Uses timestamp + random string
+ * Example: "l3k5j2h4g9"
+ *
+ * Used for room messages and direct messages alike
+ */
+function generateMessageId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+module.exports = { generateMessageId };
@@ -0,0 +1,96 @@
+/**
+ * JSON FILE HELPER
+ *
+ * Used by the file-backed stores to load and save their data
+ *
+ * HOW SAVING WORKS:
+ * - Saving is asynchronous and batched: many changes arriving at once
+ *   result in a single write
+ * - Writes never overlap (each one waits for the previous one)
+ * - We write to a temporary file and then rename it, so a crash in the
+ *   middle of a write never leaves a half-written (corrupt) file behind
+ * - flush() waits until everything is on disk
+ * - check() tells whether saving works (used by GET /api/health/ready)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * @param {string} filePath - The JSON file to read and write
+ * @param {Function} getData - Returns the data to save, or a Promise of it
+ *                             (called at write time)
+ */
+function createJsonFile(filePath, getData) {
+  let saveScheduled = false;
+  let pendingSave = Promise.resolve();
+  let lastSaveError = null; // Why the last save failed, e.g. 'ENOSPC' (null once a save works again)
+
+  return {
+    /**
+     * Read and parse the file
+     * Returns undefined if the file does not exist yet
+     */
+    read() {
+      if (!fs.existsSync(filePath)) return undefined;
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    },
+
+    /**
+     * Ask for a save "soon" (calling it many times = one write)
+     */
+    scheduleSave() {
+      if (saveScheduled) return;
+      saveScheduled = true;
+
+      // Chain onto the previous save so writes never overlap
+      pendingSave = pendingSave.then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(async () => {
+          saveScheduled = false;
+
+          const tempPath = `${filePath}.tmp`;
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.promises.writeFile(tempPath, JSON.stringify(await getData()));
+          await fs.promises.rename(tempPath, filePath);
+          lastSaveError = null;
+        })
+        .catch(error => {
+          saveScheduled = false;
+          lastSaveError = error.code || error.message;
+          logger.error('Could not save file', { filePath, error: error.message });
+        });
+    },
+
+    /**
+     * Wait until all scheduled saves are written
+     */
+    flush() {
+      return pendingSave;
+    },
+
+    /**
+     * Can we (still) save?
+     * - The last save must have worked
+     * - The file (if it exists already) must be writable
+     *
+     * Returns { status: 'up' | 'down', error? }
+     */
+    async check() {
+      if (lastSaveError) {
+        return { status: 'down', error: `Last save failed (${lastSaveError})` };
+      }
+
+      try {
+        if (fs.existsSync(filePath)) {
+          await fs.promises.access(filePath, fs.constants.W_OK);
+        }
+        return { status: 'up' };
+      } catch (error) {
+        return { status: 'down', error: error.code || error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createJsonFile };
@@ -0,0 +1,188 @@
+/**
+ * JWT HELPERS
+ *
+ * The ONLY place where access tokens are signed and verified
+ * (login/refresh sign them, both auth middlewares and `reauthenticate`
+ * verify them) - so the rules can't drift apart.
+ *
+ * WHAT IS CHECKED?
+ * - Signature:  made with one of OUR keys (see KEYS below)
+ * - Algorithm:  must be HS256 ("algorithm pinning")
+ * - Expiration: exp is in the future
+ * - Issuer:     iss = JWT_ISSUER   (this server made it)
+ * - Audience:   aud = JWT_AUDIENCE (it was made for this server)
+ *
+ * WHY PIN THE ALGORITHM?
+ * A token's header says which algorithm was used to sign it - and the
+ * header is written by whoever made the token. Famous attacks send
+ * "alg": "none" (no signature at all) or trick a server into checking an
+ * HMAC signature with a PUBLIC key. We only accept the one algorithm we
+ * sign with, whatever the header says.
+ *
+ * WHY ISSUER AND AUDIENCE?
+ * If another app happens to share the secret (or a token of another
+ * environment leaks), its tokens still don't work here.
+ *
+ * KEYS AND KEY ROTATION:
+ * Every token says which key signed it, in its header: { "kid": "2024-06" }
+ *
+ * - JWT_SECRET=...                        → one key, kid "default"
+ * - JWT_KEYS=2024-06:secretB,2024-01:secretA
+ *                                         → several keys, ALL accepted
+ * - JWT_SIGNING_KEY_ID=2024-06            → the key NEW tokens are signed with
+ *                                           (default: the first in JWT_KEYS)
+ *
+ * To replace a key without logging everyone out:
+ * 1. Add the new key in front:  JWT_KEYS=new:secretB,old:secretA
+ * 2. Wait until tokens signed with "old" have expired (ACCESS_TOKEN_TTL)
+ * 3. Remove it:                 JWT_KEYS=new:secretB
+ *
+ * (Moving from JWT_SECRET to JWT_KEYS? Keep JWT_SECRET set for a while:
+ * it stays valid for checking as kid "default")
+ */
+
+const jwt = require('jsonwebtoken');
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const JWT_ALGORITHM = 'HS256';
+const JWT_ISSUER = process.env.JWT_ISSUER || 'socketlink';
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || 'socketlink-api';
+
+// Key ID used when only JWT_SECRET is set
+const DEFAULT_KEY_ID = 'default';
+
+/**
+ * Read the keys from the environment
+ *
+ * Returns { keys: Map<kid, secret>, signingKeyId }
+ * Throws if no key is configured, or JWT_SIGNING_KEY_ID names an unknown key
+ */
+function loadKeys() {
+  const keys = new Map();
+
+  // "kid1:secret1,kid2:secret2" (a secret may contain ":", but not ",")
+  for (const entry of (process.env.JWT_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    const kid = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+
+    if (separator > 0 && kid && secret) {
+      keys.set(kid, secret);
+    }
+  }
+
+  const signingKeyId = process.env.JWT_SIGNING_KEY_ID || keys.keys().next().value || DEFAULT_KEY_ID;
+
+  if (process.env.JWT_SECRET && !keys.has(DEFAULT_KEY_ID)) {
+    keys.set(DEFAULT_KEY_ID, process.env.JWT_SECRET);
+  }
+
+  if (keys.size === 0) {
+    throw new Error('No JWT key configured: set JWT_SECRET (or JWT_KEYS) in .env');
+  }
+
+  if (!keys.has(signingKeyId)) {
+    throw new Error(`JWT_SIGNING_KEY_ID "${signingKeyId}" is not one of the keys in JWT_KEYS`);
+  }
+
+  return { keys, signingKeyId };
+}
+
+/**
+ * Keys are read the first time they're needed (after dotenv has loaded .env),
+ * then kept
+ */
+let keyConfig = null;
+
+function getKeys() {
+  if (!keyConfig) {
+    keyConfig = loadKeys();
+  }
+  return keyConfig;
+}
+
+// ============================================================================
+// SIGN
+// ============================================================================
+
+/**
+ * Create a signed token
+ *
+ * Example:
+ * signToken({ userId, username, sid }, { expiresIn: 900, jwtid: 'a1b2...' })
+ *
+ * @param {Object} payload - Claims to put in the token
+ * @param {Object} options - expiresIn (seconds), jwtid
+ * @returns {string} The token
+ */
+function signToken(payload, { expiresIn, jwtid } = {}) {
+  const { keys, signingKeyId } = getKeys();
+
+  return jwt.sign(payload, keys.get(signingKeyId), {
+    algorithm: JWT_ALGORITHM,
+    keyid: signingKeyId,
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+    expiresIn,
+    jwtid
+  });
+}
+
+// ============================================================================
+// VERIFY
+// ============================================================================
+
+/**
+ * Check a token and return its payload
+ *
+ * Throws (errors from jsonwebtoken, so callers can check error.name):
+ * - TokenExpiredError: Token expired
+ * - JsonWebTokenError: Anything else (bad signature, wrong algorithm,
+ *   wrong issuer/audience, unknown key, malformed...)
+ *
+ * This only checks the token itself - whether its session was logged out
+ * is checked by verifyAccessToken() (see middleware/auth.middleware.js)
+ *
+ * @param {string} token
+ * @returns {Object} The payload ({ userId, username, sid, jti, iat, exp, iss, aud })
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string' || !token) {
+    throw new jwt.JsonWebTokenError('jwt must be provided');
+  }
+
+  // Read the header (NOT verified yet) to find out which key to check with
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { keys } = getKeys();
+  const secret = keys.get(decoded.header.kid);
+
+  if (!secret) {
+    throw new jwt.JsonWebTokenError('unknown key id');
+  }
+
+  return jwt.verify(token, secret, {
+    algorithms: [JWT_ALGORITHM], // Whatever the header says
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  signToken,
+  verifyToken,
+  JWT_ALGORITHM,
+  JWT_ISSUER,
+  JWT_AUDIENCE
+};
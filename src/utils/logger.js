@@ -0,0 +1,211 @@
+/**
+ * LOGGER
+ *
+ * One place for everything the server writes to its logs
+ * (instead of console.log() all over the code)
+ *
+ * WHY NOT JUST console.log()?
+ * - Levels: hide debug noise in production, keep warnings and errors
+ * - Structure: every line is ONE JSON object, so tools (jq, Loki, Datadog,
+ *   CloudWatch...) can search and filter by field:
+ *
+ *   {"time":"2024-01-15T10:30:00.000Z","level":"info","msg":"Joined room","socketId":"x8Wk...","userId":"a1b2...","roomName":"general"}
+ *
+ * - Context: a "child" logger adds the same fields to every line,
+ *   e.g. the request ID of an HTTP request or the socket ID of a connection,
+ *   so you can find every line that belongs to ONE request or ONE socket
+ *
+ * USAGE:
+ * const logger = require('../utils/logger');
+ *
+ * logger.info('Server started', { port: 3003 });
+ * logger.error('Could not save file', { filePath, error }); // Errors are serialized
+ *
+ * const log = logger.child({ requestId: 'f3a9...' });
+ * log.warn('Login locked');  // → {..., "requestId": "f3a9...", "msg": "Login locked"}
+ *
+ * Ready-made child loggers:
+ * - req.log    → with requestId (see middleware/requestLogger.middleware.js)
+ * - socket.log → with socketId, userId and username (see middleware/auth.middleware.js)
+ *
+ * SETTINGS (.env):
+ * - LOG_LEVEL:  debug | info | warn | error | silent (default: info)
+ * - LOG_FORMAT: json (default, one JSON object per line)
+ *               pretty (easier to read while developing)
+ *
+ * debug and info go to stdout, warn and error to stderr.
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+// Higher = more important. A logger shows its level and everything above.
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+const PRETTY_ICONS = {
+  debug: '🔍',
+  info: '✅',
+  warn: '⚠️ ',
+  error: '❌'
+};
+
+function readLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return level in LEVELS ? level : 'info';
+}
+
+const LOG_LEVEL = readLevel();
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+/**
+ * Errors have no enumerable properties, so JSON.stringify(error) is "{}".
+ * Turn them into plain objects (with the stack, for debugging)
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Accept whatever was passed as the second argument:
+ * - { ...fields }        → used as is (Error values are serialized)
+ * - an Error             → { error: {...} }
+ * - anything else        → { detail: value }
+ */
+function normalizeFields(fields) {
+  if (fields === undefined || fields === null) {
+    return {};
+  }
+
+  if (fields instanceof Error) {
+    return { error: serializeError(fields) };
+  }
+
+  if (typeof fields !== 'object') {
+    return { detail: fields };
+  }
+
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      normalized[key] = value instanceof Error ? serializeError(value) : value;
+    }
+  }
+
+  return normalized;
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function formatJson(entry) {
+  try {
+    return JSON.stringify(entry);
+  } catch (error) {
+    // Circular objects, BigInts... - still log the message itself
+    return JSON.stringify({
+      time: entry.time,
+      level: entry.level,
+      msg: entry.msg,
+      logError: `Could not serialize fields: ${error.message}`
+    });
+  }
+}
+
+/**
+ * 10:30:00.000 ✅ info  Joined room roomName="general" userId="a1b2..."
+ */
+function formatPretty({ time, level, msg, ...fields }) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => {
+      if (key === 'error' && value && value.stack) {
+        return `\n${value.stack}`;
+      }
+      return `${key}=${formatJson(value)}`;
+    })
+    .join(' ');
+
+  return `${time.slice(11, 23)} ${PRETTY_ICONS[level]} ${level.padEnd(5)} ${msg}${details ? ' ' + details : ''}`;
+}
+
+function write(entry) {
+  const line = LOG_FORMAT === 'pretty' ? formatPretty(entry) : formatJson(entry);
+  const stream = LEVELS[entry.level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  stream.write(line + '\n');
+}
+
+// ============================================================================
+// CREATE LOGGER
+// ============================================================================
+
+/**
+ * @param {Object} bindings - Fields added to every line of this logger
+ */
+function createLogger(bindings = {}) {
+  const log = (level, message, fields) => {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    write({
+      time: new Date().toISOString(),
+      level,
+      msg: String(message),
+      ...bindings,
+      ...normalizeFields(fields)
+    });
+  };
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+
+    /**
+     * Something happened on a socket (connect, auth, disconnect...)
+     * logger.socket('AUTH', 'User authenticated', { userId })
+     */
+    socket: (event, message, fields) => log('info', message, { event, ...normalizeFields(fields) }),
+
+    /**
+     * A logger that adds `fields` to every line (on top of this one's)
+     */
+    child: (fields) => createLogger({ ...bindings, ...normalizeFields(fields) }),
+
+    /**
+     * Would a line at this level be written?
+     * (skip building expensive log data when it wouldn't be)
+     */
+    isLevelEnabled: (level) => LEVELS[level] >= LEVELS[LOG_LEVEL]
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+/**
+ * The module itself is the root logger (no extra fields),
+ * so `const logger = require('../utils/logger')` is all you need
+ */
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
+module.exports.LOG_LEVEL = LOG_LEVEL;
+module.exports.LOG_FORMAT = LOG_FORMAT;
@@ -0,0 +1,147 @@
+/**
+ * LOGIN BRUTE-FORCE PROTECTION
+ *
+ * Without this, anyone could try thousands of passwords per minute
+ * until one works.
+ *
+ * RULES:
+ * Failed logins are counted per IP address AND per username
+ * (in the login attempt store, see stores/loginAttempt.store.js):
+ * - The first few failures are free (everybody mistypes a password)
+ * - After that, every failure locks logins for a while, and the
+ *   lockout DOUBLES each time: 30s, 1 min, 2 min, 4 min ... (max 15 min)
+ * - While locked: 429 Too Many Requests, with a Retry-After header
+ * - Successful login: the username's count starts over
+ *
+ * LOGINS SENT AT THE SAME TIME:
+ * Every login reserves its attempt BEFORE the password is checked, and
+ * logins still being checked count as failures. So sending 60 guesses
+ * at once still gets only the free attempts through - the rest are
+ * locked out before bcrypt ever runs.
+ *
+ * WHY BOTH?
+ * - Per username: stops guessing one account's password from many IPs
+ * - Per IP:       stops one attacker from trying a few passwords on
+ *                 MANY accounts (more free attempts, shared networks
+ *                 like offices have many users behind one IP)
+ *
+ * WHY DOESN'T A SUCCESSFUL LOGIN RESET THE IP COUNT?
+ * Otherwise an attacker could log into their own account between
+ * guesses and never get locked out. It expires on its own.
+ */
+
+const { loginAttemptStore } = require('../stores/loginAttempt.store');
+
+// Failures allowed before lockouts start
+const MAX_ATTEMPTS_PER_USER = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_USER, 10) || 5;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20;
+
+// First lockout, and the longest one (seconds)
+const BASE_LOCKOUT = 30;
+const MAX_LOCKOUT = parseInt(process.env.LOGIN_MAX_LOCKOUT, 10) || 15 * 60;
+
+// Failures are forgotten this long after the last one (seconds)
+const ATTEMPT_WINDOW = Math.max(15 * 60, MAX_LOCKOUT);
+
+/**
+ * How long is a key locked after this many failures? (seconds, 0 = not locked)
+ *
+ * lockoutFor(4, 5) → 0     (still free attempts)
+ * lockoutFor(5, 5) → 30
+ * lockoutFor(6, 5) → 60
+ * lockoutFor(7, 5) → 120
+ */
+function lockoutFor(failures, freeAttempts) {
+  if (failures < freeAttempts) return 0;
+  return Math.min(MAX_LOCKOUT, BASE_LOCKOUT * 2 ** (failures - freeAttempts));
+}
+
+/**
+ * Seconds until this record's lockout ends (0 = not locked)
+ *
+ * Pending logins (still being checked) count as failures that happened
+ * just now - we must assume the worst until we know.
+ */
+function secondsLeft(record, freeAttempts) {
+  if (!record) return 0;
+
+  const pending = record.pending || 0;
+  const failures = record.failures + pending;
+  const lastFailureAt = pending > 0 ? Date.now() : record.lastFailureAt;
+
+  const lockedUntil = lastFailureAt + lockoutFor(failures, freeAttempts) * 1000;
+  return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+}
+
+// Store keys (see stores/loginAttempt.store.js)
+const ipKey = (ip) => `ip:${ip}`;
+const userKey = (username) => `user:${String(username).slice(0, 100)}`;
+
+/**
+ * Start a login: reserve an attempt for this IP and username
+ *
+ * Returns the seconds to wait (0 = go ahead). When it returns 0, the
+ * login MUST end with recordLoginFailure(), recordLoginSuccess() or
+ * releaseLoginAttempt(). When locked, nothing is reserved.
+ */
+async function reserveLoginAttempt(ip, username) {
+  const [ipRecord, userRecord] = await Promise.all([
+    loginAttemptStore.reserve(ipKey(ip), ATTEMPT_WINDOW),
+    loginAttemptStore.reserve(userKey(username), ATTEMPT_WINDOW)
+  ]);
+
+  const retryAfter = Math.max(
+    secondsLeft(ipRecord, MAX_ATTEMPTS_PER_IP),
+    secondsLeft(userRecord, MAX_ATTEMPTS_PER_USER)
+  );
+
+  if (retryAfter > 0) {
+    await releaseLoginAttempt(ip, username);
+  }
+
+  return retryAfter;
+}
+
+/**
+ * Count a failed login (wrong password or unknown user)
+ * Returns the seconds the next attempt has to wait (0 = none)
+ */
+async function recordLoginFailure(ip, username) {
+  const [ipRecord, userRecord] = await Promise.all([
+    loginAttemptStore.settle(ipKey(ip), ATTEMPT_WINDOW, { failed: true }),
+    loginAttemptStore.settle(userKey(username), ATTEMPT_WINDOW, { failed: true })
+  ]);
+
+  return Math.max(
+    secondsLeft(ipRecord, MAX_ATTEMPTS_PER_IP),
+    secondsLeft(userRecord, MAX_ATTEMPTS_PER_USER)
+  );
+}
+
+/**
+ * Successful login: forget the username's failures (see above for the IP)
+ */
+async function recordLoginSuccess(ip, username) {
+  await Promise.all([
+    loginAttemptStore.settle(ipKey(ip), ATTEMPT_WINDOW, { failed: false }),
+    loginAttemptStore.reset(userKey(username))
+  ]);
+}
+
+/**
+ * The login didn't get to an answer (e.g. the user store failed):
+ * drop the reservation without counting a failure
+ */
+async function releaseLoginAttempt(ip, username) {
+  await Promise.all([
+    loginAttemptStore.settle(ipKey(ip), ATTEMPT_WINDOW, { failed: false }),
+    loginAttemptStore.settle(userKey(username), ATTEMPT_WINDOW, { failed: false })
+  ]);
+}
+
+module.exports = {
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt
+};
@@ -0,0 +1,335 @@
+/**
+ * METRICS
+ *
+ * Numbers about the running server, served at GET /metrics in the
+ * Prometheus text format (see middleware/metrics.middleware.js)
+ *
+ * WHAT IS PROMETHEUS?
+ * A monitoring system that "scrapes" (fetches) /metrics every few seconds,
+ * stores the numbers over time, and lets you graph them and set alerts:
+ * "messages per second", "95% of send_message handlers finish within 25ms"...
+ *
+ * THE FORMAT (plain text, one line per value):
+ *
+ *   # HELP socketlink_messages_total Chat messages sent
+ *   # TYPE socketlink_messages_total counter
+ *   socketlink_messages_total{type="room"} 42
+ *   socketlink_messages_total{type="direct"} 7
+ *
+ * Labels ({type="room"}) split one metric into several series.
+ * Only use labels with a FEW possible values (event names, status codes) -
+ * every combination is stored separately (so never user IDs or message IDs).
+ *
+ * METRIC TYPES:
+ * - counter:   Only goes up (requests, messages, failures).
+ *              Prometheus computes the rate: rate(socketlink_messages_total[1m])
+ * - gauge:     Goes up and down (connected sockets)
+ * - histogram: Counts values into buckets (how long handlers take),
+ *              so Prometheus can compute percentiles
+ *
+ * No library needed - the format is simple enough to write ourselves.
+ */
+
+// ============================================================================
+// FORMAT HELPERS
+// ============================================================================
+
+// Label values may contain anything, but \, " and newlines must be escaped
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * { event: 'join_room', le: '0.5' } → '{event="join_room",le="0.5"}'
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+
+  if (entries.length === 0) return '';
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Key for one series: the label values in the order of labelNames
+ * (so { a: 1, b: 2 } and { b: 2, a: 1 } are the same series)
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+  });
+  return picked;
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const registry = [];
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// ============================================================================
+// COUNTER
+// ============================================================================
+
+/**
+ * counter.inc({ type: 'room' })     → +1
+ * counter.inc({ type: 'room' }, 5)  → +5
+ */
+function createCounter(name, help, labelNames = []) {
+  const series = new Map(); // key → { labels, value }
+
+  const counter = {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+
+      if (!series.has(key)) {
+        series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+      }
+
+      series.get(key).value += value;
+    },
+
+    render() {
+      return [
+        ...header(name, help, 'counter'),
+        ...Array.from(series.values(), ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+      ];
+    }
+  };
+
+  registry.push(counter);
+  return counter;
+}
+
+// ============================================================================
+// GAUGE
+// ============================================================================
+
+/**
+ * Gauges are usually read right when /metrics is fetched:
+ *
+ * createGauge('socketlink_connected_sockets', '...', [], () => [
+ *   { labels: {}, value: io.of('/').sockets.size }
+ * ]);
+ *
+ * @param {Function} collect - Returns [{ labels, value }] (called on every scrape)
+ */
+function createGauge(name, help, collect) {
+  const gauge = {
+    render() {
+      return [
+        ...header(name, help, 'gauge'),
+        ...collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+      ];
+    }
+  };
+
+  registry.push(gauge);
+  return gauge;
+}
+
+// ============================================================================
+// HISTOGRAM
+// ============================================================================
+
+// In seconds: 1ms ... 5s (good for event handlers and database calls)
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * histogram.observe({ event: 'send_message' }, 0.012) // seconds
+ *
+ * Every bucket counts the values LESS THAN OR EQUAL to it (le = "less or equal"),
+ * so the +Inf bucket is the total count.
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // key → { labels, counts: [per bucket], sum, count }
+
+  const histogram = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+
+      if (!series.has(key)) {
+        series.set(key, {
+          labels: pickLabels(labelNames, labels),
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0
+        });
+      }
+
+      const entry = series.get(key);
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+
+    render() {
+      const lines = header(name, help, 'histogram');
+
+      series.forEach(({ labels, counts, sum, count }) => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      });
+
+      return lines;
+    }
+  };
+
+  registry.push(histogram);
+  return histogram;
+}
+
+/**
+ * Start a timer, call the returned function when done
+ *
+ * const done = startTimer();
+ * await handler();
+ * histogram.observe({ event }, done()); // seconds
+ */
+function startTimer() {
+  const startedAt = process.hrtime.bigint();
+  return () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+// ============================================================================
+// RENDER
+// ============================================================================
+
+/**
+ * Everything registered, in the Prometheus text format
+ */
+function renderMetrics() {
+  return registry.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+}
+
+// ============================================================================
+// SOCKETLINK METRICS
+// ============================================================================
+
+/**
+ * Counted where they happen:
+ * - messagesTotal:         socket.controller.js (send_message), directMessage.controller.js
+ * - eventHandlerDuration:  utils/socketEvents.js (every handle()d event)
+ * - authFailuresTotal:     middleware/auth.middleware.js
+ * - httpRequestsTotal:     middleware/metrics.middleware.js
+ *
+ * Gauges that need the Socket.IO server (connected sockets, sockets per
+ * room) are added in middleware/metrics.middleware.js
+ */
+
+const messagesTotal = createCounter(
+  'socketlink_messages_total',
+  'Chat messages sent (type: room or direct)',
+  ['type']
+);
+
+const eventHandlerDuration = createHistogram(
+  'socketlink_event_handler_duration_seconds',
+  'Time spent in socket event handlers',
+  ['event']
+);
+
+const eventHandlerErrorsTotal = createCounter(
+  'socketlink_event_handler_errors_total',
+  'Socket event handlers that threw an error',
+  ['event']
+);
+
+const authFailuresTotal = createCounter(
+  'socketlink_auth_failures_total',
+  'Rejected authentication attempts (transport: socket or http, reason: why)',
+  ['transport', 'reason']
+);
+
+const httpRequestsTotal = createCounter(
+  'socketlink_http_requests_total',
+  'HTTP requests handled (route: the route pattern, e.g. /api/rooms/:roomName/messages)',
+  ['method', 'route', 'status']
+);
+
+// ----------------------------------------------------------------------------
+// Messages per second (average over the last minute)
+// ----------------------------------------------------------------------------
+
+/**
+ * Prometheus can compute this from messagesTotal itself,
+ * but it's handy to see it right in /metrics too.
+ *
+ * One counter per second for the last RATE_WINDOW seconds (a ring):
+ * slot = second % RATE_WINDOW, reset when a new second starts in it
+ */
+const RATE_WINDOW = 60;
+const messagesPerSecond = new Array(RATE_WINDOW).fill(0);
+const slotSecond = new Array(RATE_WINDOW).fill(0);
+
+function countMessage(type) {
+  messagesTotal.inc({ type });
+
+  const second = Math.floor(Date.now() / 1000);
+  const slot = second % RATE_WINDOW;
+
+  if (slotSecond[slot] !== second) {
+    slotSecond[slot] = second;
+    messagesPerSecond[slot] = 0;
+  }
+  messagesPerSecond[slot] += 1;
+}
+
+createGauge(
+  'socketlink_messages_per_second',
+  `Chat messages per second, averaged over the last ${RATE_WINDOW} seconds`,
+  () => {
+    const now = Math.floor(Date.now() / 1000);
+    const recent = messagesPerSecond.reduce(
+      (sum, count, slot) => (now - slotSecond[slot] < RATE_WINDOW ? sum + count : sum),
+      0
+    );
+    return [{ value: recent / RATE_WINDOW }];
+  }
+);
+
+createGauge('process_uptime_seconds', 'How long the server has been running', () => [
+  { value: Math.round(process.uptime()) }
+]);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Building blocks
+  createCounter,
+  createGauge,
+  createHistogram,
+  startTimer,
+  renderMetrics,
+
+  // SocketLink metrics
+  countMessage,
+  eventHandlerDuration,
+  eventHandlerErrorsTotal,
+  authFailuresTotal,
+  httpRequestsTotal
+};
@@ -0,0 +1,77 @@
+/**
+ * RECONNECT GRACE PERIOD
+ *
+ * A short Wi-Fi drop disconnects the socket, and the client reconnects
+ * a second later. Treating that as "left" and "joined again" would spam
+ * everyone with notices, so cleanup after a disconnect waits a little.
+ *
+ * Used by the socket controller (room membership) and the presence
+ * controller (online/offline status).
+ */
+
+const logger = require('./logger');
+
+/**
+ * How long (milliseconds) to wait after a disconnect before cleaning up
+ * Set in seconds with RECONNECT_GRACE_PERIOD (default 10, 0 = immediately)
+ */
+const parsedGracePeriod = parseInt(process.env.RECONNECT_GRACE_PERIOD, 10);
+const RECONNECT_GRACE_PERIOD = (Number.isNaN(parsedGracePeriod) ? 10 : parsedGracePeriod) * 1000;
+
+/**
+ * Cleanups waiting for their grace period: Map<timer, run>
+ * and the ones running right now (Promises), so shutdown can finish them
+ */
+const pendingCleanups = new Map();
+const runningCleanups = new Set();
+
+/**
+ * Run `cleanup` once the grace period is over
+ *
+ * @param {Function} cleanup - async function
+ * @param {string} description - For the error log ("removing user from rooms")
+ * @param {Object} log - Logger to use (e.g. socket.log, so the line says whose cleanup failed)
+ */
+function afterGracePeriod(cleanup, description, log = logger) {
+  const run = () => {
+    const running = cleanup()
+      .catch(error => {
+        log.error(`Error ${description}`, { error });
+      })
+      .finally(() => runningCleanups.delete(running));
+
+    runningCleanups.add(running);
+    return running;
+  };
+
+  if (RECONNECT_GRACE_PERIOD === 0) {
+    return run();
+  }
+
+  // unref() = don't keep the process alive just for this timer
+  const timer = setTimeout(() => {
+    pendingCleanups.delete(timer);
+    run();
+  }, RECONNECT_GRACE_PERIOD).unref();
+
+  pendingCleanups.set(timer, run);
+}
+
+/**
+ * Run every waiting cleanup NOW and wait until all cleanups are done
+ *
+ * Called by shutdown() in index.js: the timers would never fire after
+ * the process exits, and with Redis the user would stay in the room
+ * and "online" for everyone on the other servers.
+ */
+async function runPendingCleanups() {
+  pendingCleanups.forEach((run, timer) => {
+    clearTimeout(timer);
+    run();
+  });
+  pendingCleanups.clear();
+
+  await Promise.all(runningCleanups);
+}
+
+module.exports = { RECONNECT_GRACE_PERIOD, afterGracePeriod, runPendingCleanups };
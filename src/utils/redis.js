@@ -0,0 +1,107 @@
+/**
+ * REDIS HELPERS
+ *
+ * WHAT IS REDIS?
+ * - An in-memory database (super fast key-value store)
+ * - Can be shared by MANY server processes
+ * - Also supports publish/subscribe (pub/sub) messaging
+ *
+ * WHY DO WE NEED IT?
+ * One Node.js process can only handle so many connections.
+ * To scale, we run several processes (behind a load balancer):
+ *
+ *   alice ──► server 1 ──┐
+ *                        ├──► Redis
+ *   bob   ──► server 2 ──┘
+ *
+ * Without Redis, server 1 does not know bob exists,
+ * so alice's messages never reach him.
+ *
+ * Enable with REDIS_ENABLED=true (see .env.example)
+ */
+
+const { createClient } = require('redis');
+const logger = require('./logger');
+
+// Read once so every module agrees on whether Redis is in use
+const redisEnabled = process.env.REDIS_ENABLED === 'true';
+
+/**
+ * Create a Redis client from REDIS_HOST / REDIS_PORT
+ *
+ * The client is NOT connected yet - call `await client.connect()`
+ *
+ * @param {string} name - Used in log messages (e.g. 'pub', 'sub', 'rooms')
+ */
+function createRedisClient(name) {
+  const client = createClient({
+    socket: {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT, 10) || 6379
+    }
+  });
+
+  // Without an error listener, a lost connection would crash the process
+  client.on('error', (error) => {
+    logger.error('Redis error', { client: name, error: error.message });
+  });
+
+  return client;
+}
+
+/**
+ * Create a Redis client and start connecting right away
+ *
+ * node-redis queues commands until the connection is ready,
+ * so the client can be used at once (no need to await anything)
+ *
+ * @param {string} name - Used in log messages
+ */
+function connectRedisClient(name) {
+  const client = createRedisClient(name);
+
+  client.connect().catch((error) => {
+    logger.error('Could not connect to Redis', { client: name, error: error.message });
+  });
+
+  return client;
+}
+
+// ============================================================================
+// SHARED CONNECTION FOR THE STORES
+// ============================================================================
+
+/**
+ * Every Redis store (rooms, read receipts, presence, login attempts, tokens)
+ * uses this ONE connection - node-redis sends commands from many places
+ * over the same connection just fine, so one per store would only waste
+ * connections (Redis servers often limit them).
+ *
+ * The Socket.IO adapter still needs its own two (see index.js): a
+ * subscribed connection can't be used for anything else.
+ */
+let sharedClient = null;
+
+function getSharedRedisClient() {
+  if (!sharedClient) {
+    sharedClient = connectRedisClient('stores');
+  }
+  return sharedClient;
+}
+
+/**
+ * Close the shared connection (at shutdown, after the stores are done)
+ */
+async function closeSharedRedisClient() {
+  if (sharedClient && sharedClient.isOpen) {
+    await sharedClient.quit();
+  }
+}
+
+module.exports = {
+  redisEnabled,
+  createRedisClient,
+  connectRedisClient,
+  getSharedRedisClient,
+  closeSharedRedisClient
+};
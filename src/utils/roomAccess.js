@@ -0,0 +1,190 @@
+/**
+ * ROOM ACCESS RULES
+ *
+ * Small helpers that answer "is this user allowed to ...?"
+ * based on a room's info (see stores/room.store.js for its shape)
+ *
+ * ROLES:
+ * - Owner:     Created the room. Can do everything, including
+ *              adding/removing moderators.
+ * - Moderator: Can invite users (and moderate, see socket.controller.js)
+ * - Member:    Anyone else who joined
+ *
+ * ROOM TYPES:
+ * - public:             Anyone can see and join it
+ * - private:            Invite-only, hidden from users who aren't invited
+ * - password-protected: Public or private, plus a password to join
+ *
+ * Owners, moderators and invited users never need the password.
+ *
+ * BANS AND MUTES:
+ * Stored in the room info as lists of { userId, username, until, by }
+ * - until: timestamp when it ends, or null = forever
+ * - Banned users can't join, muted users can't send messages
+ */
+
+const bcrypt = require('bcryptjs');
+
+/**
+ * Is this user the owner of the room?
+ */
+function isOwner(info, userId) {
+  return Boolean(info && info.owner && info.owner.userId === userId);
+}
+
+/**
+ * Is this user a moderator? (the owner counts as one)
+ */
+function isModerator(info, userId) {
+  return isOwner(info, userId) ||
+    Boolean(info && info.moderators.some(moderator => moderator.userId === userId));
+}
+
+/**
+ * Was this user invited? (moderators count as invited)
+ */
+function isInvited(info, userId) {
+  return isModerator(info, userId) || Boolean(info && info.invited.includes(userId));
+}
+
+/**
+ * Find the ban/mute entry for this user that is still active
+ * Returns null if there is none (or it has expired)
+ */
+function findActive(list, userId) {
+  const now = Date.now();
+
+  return (list || []).find(entry =>
+    entry.userId === userId && (entry.until === null || entry.until > now)
+  ) || null;
+}
+
+function getActiveBan(info, userId) {
+  return info ? findActive(info.bans, userId) : null;
+}
+
+function getActiveMute(info, userId) {
+  return info ? findActive(info.mutes, userId) : null;
+}
+
+/**
+ * Can `actorId` kick/ban/mute `targetId`?
+ *
+ * - Moderators can moderate regular members
+ * - Only the owner can moderate other moderators
+ * - Nobody can moderate the owner
+ */
+function canModerate(info, actorId, targetId) {
+  if (!isModerator(info, actorId) || isOwner(info, targetId)) {
+    return false;
+  }
+
+  return !isModerator(info, targetId) || isOwner(info, actorId);
+}
+
+/**
+ * Should this room show up in the user's room list?
+ */
+function canSeeRoom(info, userId) {
+  return !info || info.visibility === 'public' || isInvited(info, userId);
+}
+
+/**
+ * Can this user join the room?
+ *
+ * Returns null if allowed, otherwise the reason:
+ * - 'banned':            User is banned from the room
+ * - 'invite_only':       Private room and user wasn't invited
+ * - 'password_required': Room has a password and none was given
+ * - 'wrong_password':    Password doesn't match
+ */
+async function checkJoinAccess(info, userId, password) {
+  if (getActiveBan(info, userId)) {
+    return 'banned';
+  }
+
+  if (!info || isInvited(info, userId)) {
+    return null;
+  }
+
+  if (info.visibility === 'private') {
+    return 'invite_only';
+  }
+
+  if (info.passwordHash) {
+    if (!password || typeof password !== 'string') {
+      return 'password_required';
+    }
+
+    if (!(await bcrypt.compare(password, info.passwordHash))) {
+      return 'wrong_password';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Can this user read the room's history over REST (GET /api/rooms/:roomName/messages)?
+ *
+ * The same rules as joining, except that a password can't be given there:
+ * password-protected rooms need the user to be in the room (or invited).
+ *
+ * Returns null if allowed, otherwise the reason:
+ * - 'banned':            User is banned from the room
+ * - 'invite_only':       Private room and user wasn't invited
+ * - 'password_required': Room has a password and the user hasn't joined
+ *
+ * @param {Object} info - The room info (must exist)
+ * @param {string} userId
+ * @param {boolean} isMember - Is the user in the room right now?
+ */
+function checkHistoryAccess(info, userId, isMember) {
+  if (getActiveBan(info, userId)) {
+    return 'banned';
+  }
+
+  if (isMember || isInvited(info, userId)) {
+    return null;
+  }
+
+  if (info.visibility === 'private') {
+    return 'invite_only';
+  }
+
+  if (info.passwordHash) {
+    return 'password_required';
+  }
+
+  return null;
+}
+
+/**
+ * The part of the room info that's safe to send to clients
+ * (no password hash, no list of invited users)
+ */
+function publicRoomInfo(info) {
+  if (!info) {
+    return { owner: null, moderators: [], visibility: 'public', hasPassword: false };
+  }
+
+  return {
+    owner: info.owner.username,
+    moderators: info.moderators.map(moderator => moderator.username),
+    visibility: info.visibility,
+    hasPassword: Boolean(info.passwordHash)
+  };
+}
+
+module.exports = {
+  isOwner,
+  isModerator,
+  isInvited,
+  getActiveBan,
+  getActiveMute,
+  canModerate,
+  canSeeRoom,
+  checkJoinAccess,
+  checkHistoryAccess,
+  publicRoomInfo
+};
@@ -0,0 +1,191 @@
+/**
+ * PAYLOAD SCHEMAS
+ *
+ * What every socket event and auth request is allowed to contain
+ * (checked by utils/validation.js BEFORE the handler runs)
+ *
+ * - socketSchemas: one schema per socket event (see utils/socketEvents.js)
+ * - registerSchema, loginSchema, refreshSchema: REST request bodies
+ *   (see middleware/validate.middleware.js and routes/auth.routes.js)
+ *
+ * Adding a new socket event? Add its schema here too - otherwise its
+ * handler gets whatever the client sends, unchecked.
+ */
+
+const { PRESENCE_STATUSES } = require('../stores/presence.store');
+
+// ============================================================================
+// LIMITS
+// ============================================================================
+
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Room password length limits
+const MIN_ROOM_PASSWORD_LENGTH = 4;
+const MAX_ROOM_PASSWORD_LENGTH = 100;
+
+// Longest clientMessageId we accept (UUIDs are 36 characters)
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 64;
+
+// Reaction length limit ("👨‍👩‍👧‍👦" is 11 characters in JavaScript, so not too strict)
+const MAX_EMOJI_LENGTH = 16;
+
+// Longest ban/mute with a duration (longer = use no duration, i.e. forever)
+const MAX_MODERATION_DURATION = 30 * 24 * 60 * 60; // 30 days, in seconds
+
+// ============================================================================
+// SHARED FIELDS
+// ============================================================================
+
+const roomName = {
+  type: 'string', required: true, trim: true, maxLength: MAX_ROOM_NAME_LENGTH, label: 'Room name'
+};
+
+// Message IDs are generated by the server (see utils/ids.js), so they are short
+const messageId = { type: 'string', required: true, maxLength: 100, label: 'Message ID' };
+
+const username = { type: 'string', required: true, trim: true, maxLength: 20, label: 'Username' };
+
+const text = {
+  type: 'string', required: true, trim: true, maxLength: MAX_MESSAGE_LENGTH, label: 'Message'
+};
+
+const reason = { type: 'string', trim: true, maxLength: 200, label: 'Reason' };
+
+const duration = {
+  type: 'integer', min: 1, max: MAX_MODERATION_DURATION, label: 'Duration (seconds)'
+};
+
+/**
+ * Emoji only: pictographs (👍 🎉), flags (🇩🇪), keycaps (1️⃣), and the
+ * invisible parts that combine them (skin tones 👍🏽, joiners 👨‍👩‍👧, variation selectors).
+ * Anything else (letters, quotes, < >...) is rejected - reactions are shown
+ * to everyone in the room, so they must never carry text or markup.
+ */
+const EMOJI_PATTERN =
+  /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3])(?:[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200d\ufe0f\u20e3#*0-9])+$/u;
+
+const emoji = {
+  type: 'string',
+  required: true,
+  maxLength: MAX_EMOJI_LENGTH,
+  pattern: EMOJI_PATTERN,
+  patternMessage: 'Reaction must be an emoji',
+  label: 'Reaction'
+};
+
+// ============================================================================
+// SOCKET EVENTS
+// ============================================================================
+
+const roomOnly = { roomName };
+const roomAndUser = { roomName, username };
+const roomAndMessage = { roomName, messageId };
+const moderation = { roomName, username, duration, reason };
+
+const socketSchemas = {
+  // Rooms
+  create_room: {
+    roomName,
+    visibility: { type: 'string', oneOf: ['public', 'private'], default: 'public', label: 'Visibility' },
+    // Not trimmed: spaces are part of the password
+    password: {
+      type: 'string',
+      minLength: MIN_ROOM_PASSWORD_LENGTH,
+      maxLength: MAX_ROOM_PASSWORD_LENGTH,
+      label: 'Room password'
+    }
+  },
+  join_room: {
+    roomName,
+    password: { type: 'string', maxLength: MAX_ROOM_PASSWORD_LENGTH, label: 'Room password' }
+  },
+  leave_room: roomOnly,
+  invite_user: roomAndUser,
+  add_moderator: roomAndUser,
+  remove_moderator: roomAndUser,
+
+  // Moderation
+  kick_user: { roomName, username, reason },
+  ban_user: moderation,
+  unban_user: roomAndUser,
+  mute_user: moderation,
+  unmute_user: roomAndUser,
+
+  // Messages
+  send_message: {
+    roomName,
+    text,
+    parentMessageId: { type: 'string', maxLength: 100, label: 'parentMessageId' },
+    clientMessageId: {
+      type: 'string', maxLength: MAX_CLIENT_MESSAGE_ID_LENGTH, default: null, label: 'clientMessageId'
+    }
+  },
+  get_thread: {
+    roomName,
+    parentMessageId: { ...messageId, label: 'parentMessageId' }
+  },
+  edit_message: { roomName, messageId, text },
+  delete_message: roomAndMessage,
+  add_reaction: { roomName, messageId, emoji },
+  remove_reaction: { roomName, messageId, emoji },
+  mark_read: roomAndMessage,
+  typing: roomOnly,
+  stop_typing: roomOnly,
+
+  // Direct messages (the other user by username OR by ID)
+  send_direct_message: {
+    to: { ...username, required: false },
+    toUserId: { type: 'string', maxLength: 100, label: 'toUserId' },
+    text
+  },
+  get_direct_messages: {
+    with: { ...username, required: false },
+    withUserId: { type: 'string', maxLength: 100, label: 'withUserId' }
+  },
+
+  // Presence
+  set_presence: {
+    status: { type: 'string', required: true, oneOf: PRESENCE_STATUSES, label: 'Status' }
+  },
+
+  // Session
+  reauthenticate: {
+    token: { type: 'string', required: true, maxLength: 4096, label: 'Token' }
+  }
+};
+
+// ============================================================================
+// REST BODIES (auth routes)
+// ============================================================================
+
+const registerSchema = {
+  username: {
+    type: 'string',
+    required: true,
+    minLength: 3,
+    maxLength: 20,
+    pattern: /^[a-zA-Z0-9_]+$/,
+    patternMessage: 'Username can only contain letters, numbers, and underscores',
+    label: 'Username'
+  },
+  // bcrypt only looks at the first 72 bytes anyway
+  password: { type: 'string', required: true, minLength: 6, maxLength: 100, label: 'Password' }
+};
+
+const loginSchema = {
+  username: { type: 'string', required: true, label: 'Username' },
+  password: { type: 'string', required: true, label: 'Password' }
+};
+
+const refreshSchema = {
+  refreshToken: { type: 'string', required: true, label: 'Refresh token' }
+};
+
+module.exports = {
+  socketSchemas,
+  registerSchema,
+  loginSchema,
+  refreshSchema
+};
@@ -0,0 +1,110 @@
+/**
+ * SOCKET EVENT HELPER
+ *
+ * Shared by every socket controller to register event handlers
+ */
+
+const { validate } = require('./validation');
+const { socketSchemas } = require('./schemas');
+const { startTimer, eventHandlerDuration, eventHandlerErrorsTotal } = require('./metrics');
+
+// How many handlers are running right now (on all sockets), see whenIdle()
+let activeHandlers = 0;
+let idleWaiters = [];
+
+/**
+ * Returns a `handle(event, handler)` function for one socket
+ *
+ * handle() works like socket.on(), but:
+ * 1. Checks the payload against the event's schema (see utils/schemas.js)
+ *    BEFORE the handler runs
+ * 2. Catches errors from async handlers
+ * 3. Measures how long the handler took (GET /metrics, see utils/metrics.js)
+ *
+ * WHY CHECK FIRST?
+ * Clients can send anything: no data, a number instead of a room name,
+ * a 10 MB string... With the check here, every handler gets clean data
+ * (trimmed, defaults filled in, unknown fields dropped), and every client
+ * gets the same kind of error:
+ *
+ * { message: 'Room name is required', code: 'MISSING_FIELD', field: 'roomName' }
+ *
+ * If the client passed a callback (acknowledgement), it gets
+ * { success: false, ...error } as well.
+ *
+ * WHY CATCH ERRORS?
+ * If an async handler throws (e.g. Redis is down), nobody catches it.
+ * That becomes an "unhandled promise rejection", which would shut down
+ * the whole server. Instead, we log it and tell only this client.
+ *
+ * Example:
+ * const handle = createEventHandler(socket);
+ * handle('get_rooms', async () => { ... });
+ * handle('leave_room', async ({ roomName }) => { ... }); // roomName is a non-empty string
+ *
+ * @param {SocketIO.Socket} socket - Individual client connection
+ */
+function createEventHandler(socket) {
+  return (event, handler) => {
+    const schema = socketSchemas[event];
+
+    socket.on(event, async (...args) => {
+      const done = startTimer();
+      activeHandlers += 1;
+
+      try {
+        if (!schema) {
+          await handler(...args);
+          return;
+        }
+
+        // socket.emit('event', data, callback) → the callback is always last
+        const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+        const data = args[0] === ack ? undefined : args[0];
+
+        const { value, error } = validate(schema, data);
+
+        if (error) {
+          socket.emit('error', { ...error, event });
+          if (ack) ack({ success: false, ...error, event });
+          return;
+        }
+
+        await handler(value, ...(ack ? [ack] : []));
+      } catch (error) {
+        socket.log.error('Socket event handler failed', { event, error });
+        eventHandlerErrorsTotal.inc({ event });
+
+        socket.emit('error', {
+          message: 'Something went wrong. Please try again.',
+          code: 'SERVER_ERROR'
+        });
+      } finally {
+        eventHandlerDuration.observe({ event }, done());
+
+        activeHandlers -= 1;
+        if (activeHandlers === 0) {
+          idleWaiters.forEach(resolve => resolve());
+          idleWaiters = [];
+        }
+      }
+    });
+  };
+}
+
+/**
+ * Resolves once no handler is running anymore
+ *
+ * Used by shutdown() in index.js: a handler that is halfway through
+ * (e.g. waiting for Redis before saving a message) gets to finish
+ * BEFORE the stores are flushed and closed.
+ */
+function whenIdle() {
+  if (activeHandlers === 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => idleWaiters.push(resolve));
+}
+
+module.exports = { createEventHandler, whenIdle };
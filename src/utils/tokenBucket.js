@@ -0,0 +1,52 @@
+/**
+ * TOKEN BUCKET
+ *
+ * A simple way to say "at most N at once, then X per second"
+ *
+ * HOW IT WORKS:
+ * - A bucket holds up to `capacity` tokens and starts full
+ * - Every action takes one token
+ * - Tokens drip back in at `perSecond` per second (never above capacity)
+ * - Empty bucket = wait until the next token drips in
+ *
+ * Example: { capacity: 10, perSecond: 1 }
+ * You can send 10 messages right away (a burst), then 1 per second.
+ * Stop for 10 seconds and the bucket is full again.
+ */
+
+/**
+ * @param {Object} limit
+ * @param {number} limit.capacity - Biggest burst allowed
+ * @param {number} limit.perSecond - How fast tokens come back
+ */
+function createTokenBucket({ capacity, perSecond }) {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  // Add the tokens that dripped in since last time
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * perSecond);
+    updatedAt = now;
+  };
+
+  return {
+    /**
+     * Seconds until a token is available (0 = one is available now)
+     */
+    retryAfter() {
+      refill();
+      return tokens >= 1 ? 0 : (1 - tokens) / perSecond;
+    },
+
+    /**
+     * Take one token (check retryAfter() first)
+     */
+    take() {
+      refill();
+      tokens -= 1;
+    }
+  };
+}
+
+module.exports = { createTokenBucket };
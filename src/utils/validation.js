@@ -0,0 +1,177 @@
+/**
+ * PAYLOAD VALIDATION
+ *
+ * Checks the data a client sends (socket event payloads, REST bodies)
+ * against a SCHEMA - a plain object describing every allowed field.
+ *
+ * WHY A SCHEMA INSTEAD OF IF-STATEMENTS IN EVERY HANDLER?
+ * - Every event is checked the same way (no forgotten typeof checks,
+ *   no 10 KB room names, no crash when the payload is missing)
+ * - Errors always look the same (see ERROR CODES below)
+ * - Handlers can trust their data and focus on what they actually do
+ *
+ * EXAMPLE SCHEMA:
+ * {
+ *   roomName: { type: 'string', required: true, trim: true, maxLength: 50, label: 'Room name' },
+ *   visibility: { type: 'string', oneOf: ['public', 'private'], default: 'public' },
+ *   duration: { type: 'integer', min: 1, max: 3600 }
+ * }
+ *
+ * FIELD RULES:
+ * - type:        'string' | 'integer' | 'number' | 'boolean'
+ * - required:    Must be present (null, undefined and '' count as missing)
+ * - default:     Value to use when it's missing (otherwise: not in the result)
+ * - trim:        Remove spaces around strings before checking them
+ * - minLength / maxLength:  For strings
+ * - min / max:   For numbers
+ * - pattern:     RegExp a string must match (+ patternMessage to explain it)
+ * - oneOf:       List of allowed values
+ * - label:       Name used in error messages (default: the field name)
+ *
+ * Fields that are NOT in the schema are dropped from the result.
+ *
+ * ERROR CODES (the same for socket events and REST):
+ * - INVALID_PAYLOAD: The data isn't an object at all
+ * - MISSING_FIELD:   A required field is missing or empty
+ * - INVALID_TYPE:    Wrong type (e.g. a number instead of a string)
+ * - TOO_SHORT / TOO_LONG:  String length out of range
+ * - INVALID_FORMAT:  String doesn't match the pattern
+ * - INVALID_VALUE:   Not one of the allowed values, or number out of range
+ */
+
+// ============================================================================
+// TYPE CHECKS
+// ============================================================================
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+const TYPE_NAMES = {
+  string: 'text',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false'
+};
+
+// ============================================================================
+// VALIDATE
+// ============================================================================
+
+/**
+ * Check `data` against `schema`
+ *
+ * Returns ONE of:
+ * - { value }  → the cleaned data (trimmed, defaults filled in, unknown fields dropped)
+ * - { error }  → { message, code, field } for the FIRST problem found
+ *
+ * Example:
+ * validate({ roomName: { type: 'string', required: true } }, { roomName: 42 })
+ * → { error: { message: 'roomName must be text', code: 'INVALID_TYPE', field: 'roomName' } }
+ *
+ * @param {Object} schema - Field rules (see above)
+ * @param {*} data - Whatever the client sent (undefined = empty object)
+ */
+function validate(schema, data) {
+  if (data === undefined || data === null) {
+    data = {};
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      error: { message: 'Invalid data: expected an object', code: 'INVALID_PAYLOAD', field: null }
+    };
+  }
+
+  const value = {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const result = validateField(field, rules, data[field]);
+
+    if (result.error) {
+      return result;
+    }
+
+    if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  }
+
+  return { value };
+}
+
+/**
+ * Check one field
+ * Returns { value } (undefined = leave it out) or { error }
+ */
+function validateField(field, rules, input) {
+  const label = rules.label || field;
+  const fail = (message, code) => ({ error: { message, code, field } });
+
+  let value = input;
+
+  if (rules.trim && typeof value === 'string') {
+    value = value.trim();
+  }
+
+  // ---------------------------------------------------------------------------
+  // MISSING?
+  // ---------------------------------------------------------------------------
+
+  if (value === undefined || value === null || value === '') {
+    if (rules.required) {
+      return fail(`${label} is required`, 'MISSING_FIELD');
+    }
+    return { value: rules.default };
+  }
+
+  // ---------------------------------------------------------------------------
+  // TYPE
+  // ---------------------------------------------------------------------------
+
+  if (rules.type && !TYPE_CHECKS[rules.type](value)) {
+    return fail(`${label} must be ${TYPE_NAMES[rules.type]}`, 'INVALID_TYPE');
+  }
+
+  // ---------------------------------------------------------------------------
+  // STRINGS
+  // ---------------------------------------------------------------------------
+
+  if (typeof value === 'string') {
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+      return fail(`${label} must be at least ${rules.minLength} characters`, 'TOO_SHORT');
+    }
+
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      return fail(`${label} is too long (max ${rules.maxLength} characters)`, 'TOO_LONG');
+    }
+
+    if (rules.pattern && !rules.pattern.test(value)) {
+      return fail(rules.patternMessage || `${label} has an invalid format`, 'INVALID_FORMAT');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // NUMBERS
+  // ---------------------------------------------------------------------------
+
+  if (typeof value === 'number' &&
+      ((rules.min !== undefined && value < rules.min) || (rules.max !== undefined && value > rules.max))) {
+    return fail(`${label} must be between ${rules.min} and ${rules.max}`, 'INVALID_VALUE');
+  }
+
+  // ---------------------------------------------------------------------------
+  // ALLOWED VALUES
+  // ---------------------------------------------------------------------------
+
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    return fail(`${label} must be one of: ${rules.oneOf.join(', ')}`, 'INVALID_VALUE');
+  }
+
+  return { value };
+}
+
+module.exports = { validate };
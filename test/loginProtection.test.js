@@ -0,0 +1,64 @@
+/**
+ * LOGIN PROTECTION TESTS
+ *
+ * Run with: npm test (Node's built-in test runner, no extra packages)
+ *
+ * Uses the memory login attempt store (REDIS_ENABLED is not set).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../src/utils/loginProtection');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One wrong-password login, like exports.login does it:
+ * reserve → check the password (slow, like bcrypt) → count the failure
+ *
+ * Returns true if the password got checked, false if locked out (429)
+ */
+async function wrongPasswordLogin(ip, username) {
+  if (await reserveLoginAttempt(ip, username) > 0) return false;
+
+  await sleep(20); // bcrypt.compare()
+  await recordLoginFailure(ip, username);
+  return true;
+}
+
+test('a parallel burst only gets the free attempts for one username', async () => {
+  const results = await Promise.all(
+    Array.from({ length: 60 }, (_, index) => wrongPasswordLogin(`10.0.0.${index}`, 'burst-victim'))
+  );
+
+  // LOGIN_MAX_ATTEMPTS_PER_USER defaults to 5
+  assert.strictEqual(results.filter(Boolean).length, 5);
+});
+
+test('a parallel burst only gets the free attempts for one IP', async () => {
+  const results = await Promise.all(
+    Array.from({ length: 60 }, (_, index) => wrongPasswordLogin('10.1.0.1', `burst-user-${index}`))
+  );
+
+  // LOGIN_MAX_ATTEMPTS_PER_IP defaults to 20
+  assert.strictEqual(results.filter(Boolean).length, 20);
+});
+
+test('a successful login starts the username count over', async () => {
+  for (let attempt = 0; attempt < 4; attempt++) {
+    assert.strictEqual(await wrongPasswordLogin('10.2.0.1', 'forgetful'), true);
+  }
+
+  assert.strictEqual(await reserveLoginAttempt('10.2.0.1', 'forgetful'), 0);
+  await recordLoginSuccess('10.2.0.1', 'forgetful');
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.strictEqual(await wrongPasswordLogin('10.2.0.2', 'forgetful'), true);
+  }
+  assert.ok(await reserveLoginAttempt('10.2.0.3', 'forgetful') > 0);
+});
@@ -0,0 +1,64 @@
+/**
+ * ROOM STORE TESTS
+ *
+ * Run with: npm test (Node's built-in test runner, no extra packages)
+ *
+ * Uses the memory and file room stores (REDIS_ENABLED is not set).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRoomStore, createFileRoomStore } = require('../src/stores/room.store');
+
+const alice = { userId: 'a1', username: 'alice' };
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-')), 'rooms.json');
+
+test('addMember does not bring back a deleted room', async () => {
+  const store = createMemoryRoomStore();
+
+  await store.createRoom('general', { owner: alice });
+  assert.deepStrictEqual(await store.addMember('general', alice), { connections: 1, userCount: 1 });
+
+  await store.removeMember('general', alice.userId);
+  assert.strictEqual(await store.deleteRoomIfEmpty('general'), true);
+
+  assert.strictEqual(await store.addMember('general', alice), null);
+  assert.strictEqual(await store.hasRoom('general'), false);
+  assert.deepStrictEqual(await store.listRooms(), []);
+});
+
+test('addMember fails for a room that was never created', async () => {
+  const store = createMemoryRoomStore();
+
+  assert.strictEqual(await store.addMember('nowhere', alice), null);
+  assert.strictEqual(await store.getRoomInfo('nowhere'), null);
+});
+
+test('the file store keeps room info, but not members, across a restart', async () => {
+  const filePath = tempFile();
+  const before = createFileRoomStore({ filePath });
+
+  await before.createRoom('secret', { owner: alice, visibility: 'private', invited: [] });
+  await before.addMember('secret', alice);
+  await before.close();
+
+  const after = createFileRoomStore({ filePath });
+
+  assert.deepStrictEqual(await after.listRooms(), ['secret']);
+  assert.deepStrictEqual((await after.getRoomInfo('secret')).owner, alice);
+  assert.deepStrictEqual(await after.getMembers('secret'), []);
+  assert.strictEqual(await after.createRoom('secret', { owner: { userId: 'm1', username: 'mallory' } }), false);
+});
+
+test('the file store refuses to start with a file it cannot read', () => {
+  const filePath = tempFile();
+  fs.writeFileSync(filePath, '{"secret": ');
+
+  assert.throws(() => createFileRoomStore({ filePath }));
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{"secret": ');
+});